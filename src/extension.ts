@@ -2,21 +2,30 @@
 // Import the module and reference it with the alias vscode in your code below
 import * as vscode from 'vscode';
 import { KanbanWebviewPanel } from './kanbanWebviewPanel';
+import { KanbanEditorProvider } from './kanbanEditorProvider';
+import { KanbanTaskIndex } from './taskIndex';
+import { TaskTreeProvider } from './taskTreeProvider';
+import { TimeTracker } from './timeTracker';
 
 
 // This method is called when your extension is activated
 // Your extension is activated the very first time the command is executed
 export function activate(context: vscode.ExtensionContext) {
-	let fileListenerEnabled = true;
 	// Use the console to output diagnostic information (console.log) and errors (console.error)
 	// This line of code will only be executed once when your extension is activated
 	console.log('Markdown Kanban extension is now active!');
 
+	// One task timer for the window, shown in the status bar; stopping it logs the time on the task.
+	// Created first, since boards restored below can start or stop it as soon as they load.
+	const timeTracker = new TimeTracker(context.workspaceState,
+		(timer, entry) => KanbanWebviewPanel.logTime(vscode.Uri.parse(timer.uri), timer.taskId, entry));
+	KanbanWebviewPanel.timeTracker = timeTracker;
+
 	// 注册webview panel序列化器（用于恢复面板状态）
 	if (vscode.window.registerWebviewPanelSerializer) {
 		vscode.window.registerWebviewPanelSerializer(KanbanWebviewPanel.viewType, {
 			async deserializeWebviewPanel(webviewPanel: vscode.WebviewPanel, state: any) {
-				KanbanWebviewPanel.revive(webviewPanel, context.extensionUri, context);
+				await KanbanWebviewPanel.revive(webviewPanel, context.extensionUri, context, state);
 			}
 		});
 	}
@@ -68,27 +77,77 @@ export function activate(context: vscode.ExtensionContext) {
 	});
 
 	const disableFileListenerCommand = vscode.commands.registerCommand('markdown-kanban.disableFileListener', async () => {
-		fileListenerEnabled = !fileListenerEnabled;
+		KanbanWebviewPanel.fileListenerEnabled = !KanbanWebviewPanel.fileListenerEnabled;
 	});
 
-	// 监听文档变化，自动更新看板（实时同步）
-	// Only reload when the changed document matches the kanban's pinned file.
-	const documentChangeListener = vscode.workspace.onDidChangeTextDocument((event) => {
-		if (event.document.languageId === 'markdown' && fileListenerEnabled) {
-			setTimeout(() => {
-				if (KanbanWebviewPanel.currentPanel &&
-					KanbanWebviewPanel.currentPanel.documentUri?.toString() === event.document.uri.toString()) {
-					KanbanWebviewPanel.currentPanel.loadMarkdownFile(event.document);
-				}
-			}, 500);
+	// *.kanban.md files, and files mapped to the editor in workbench.editorAssociations, open as a board.
+	// Each board panel listens for changes to its own document, so no global sync is needed here.
+	const kanbanEditorProvider = KanbanEditorProvider.register(context);
+
+	// Index every board in the workspace for the Tasks view and "Go to Task…"
+	const taskIndex = new KanbanTaskIndex();
+	const taskTreeProvider = new TaskTreeProvider(taskIndex);
+	const taskTreeView = vscode.window.createTreeView(TaskTreeProvider.viewId, {
+		treeDataProvider: taskTreeProvider,
+		showCollapseAll: true
+	});
+	taskIndex.refresh();
+
+	const refreshTaskIndexCommand = vscode.commands.registerCommand('markdown-kanban.refreshTaskIndex', () => taskIndex.refresh());
+
+	// Called with (uri, taskId) from the Tasks view; without arguments it asks which task to open
+	const goToTaskCommand = vscode.commands.registerCommand('markdown-kanban.goToTask', async (uri?: vscode.Uri, taskId?: string) => {
+		if (!uri || !taskId) {
+			const picked = await vscode.window.showQuickPick(
+				taskIndex.tasks.map(entry => ({
+					label: entry.task.title,
+					description: `${entry.task.id} · ${entry.column.title}`,
+					detail: `${entry.board.title || 'Untitled board'} — ${vscode.workspace.asRelativePath(entry.uri)}`,
+					entry
+				})),
+				{ placeHolder: 'Go to task…', matchOnDescription: true, matchOnDetail: true }
+			);
+			if (!picked) {
+				return;
+			}
+			uri = picked.entry.uri;
+			taskId = picked.entry.task.id;
+		}
+
+		try {
+			const document = await vscode.workspace.openTextDocument(uri);
+			await KanbanWebviewPanel.goToTaskInSource(document, taskId);
+		} catch (error) {
+			vscode.window.showErrorMessage(`failed open task: ${error}`);
+		}
+	});
+
+	const switchSavedViewCommand = vscode.commands.registerCommand('markdown-kanban.switchSavedView', async () => {
+		const panel = KanbanWebviewPanel.getActivePanel();
+		if (!panel) {
+			vscode.window.showInformationMessage('Open a Kanban board to switch its saved view.');
+			return;
+		}
+		await panel.pickSavedView();
+	});
+
+	const stopTimerCommand = vscode.commands.registerCommand('markdown-kanban.stopTimer', async () => {
+		if (!timeTracker.running) {
+			vscode.window.showInformationMessage('No task timer is running.');
+			return;
+		}
+		try {
+			await timeTracker.stop();
+		} catch (error) {
+			vscode.window.showErrorMessage(`failed to log time: ${error}`);
 		}
 	});
 
 	// 监听活动编辑器变化
 	// Only set context flag — don't auto-load other markdown files into the kanban.
-	// The kanban stays pinned to the file originally opened via the command.
+	// Each kanban panel stays pinned to the file it was opened for.
 	const activeEditorChangeListener = vscode.window.onDidChangeActiveTextEditor((editor) => {
-		if (editor && editor.document.languageId === 'markdown' && fileListenerEnabled) {
+		if (editor && editor.document.languageId === 'markdown' && KanbanWebviewPanel.fileListenerEnabled) {
 			vscode.commands.executeCommand('setContext', 'markdownKanbanActive', true);
 		} else {
 			vscode.commands.executeCommand('setContext', 'markdownKanbanActive', false);
@@ -99,7 +158,15 @@ export function activate(context: vscode.ExtensionContext) {
 	context.subscriptions.push(
 		openKanbanCommand,
 		disableFileListenerCommand,
-		documentChangeListener,
+		kanbanEditorProvider,
+		taskIndex,
+		taskTreeProvider,
+		taskTreeView,
+		refreshTaskIndexCommand,
+		goToTaskCommand,
+		switchSavedViewCommand,
+		timeTracker,
+		stopTimerCommand,
 		activeEditorChangeListener,
 	);
 
@@ -5,12 +5,38 @@ let expandedTasks = new Set()
 let currentEditingTask = null
 let currentEditingColumn = null
 let isEditMode = false
-let currentTagFilter = ''
+let currentFilterText = ''
+let currentFilterPredicate = null
 let currentSort = 'none'
 let currentDetailTask = null
 let currentDetailColumn = null
 let detailReturnTask = null
 let detailReturnColumn = null
+let useEditorUndo = false
+let doneColumnIds = new Set()
+let currentUser = ''
+let showMyTasksOnly = false
+let wipLimitMode = 'warn'
+let currentGroupBy = 'none'
+let collapsedLanes = new Set()
+let currentView = 'board'
+let calendarMode = 'month'
+let calendarDate = new Date()
+let timelineZoom = 'day'
+let timelineGroupBy = 'column'
+let timelineStart = null
+let searchQuery = ''
+let searchMatchIds = []
+let searchIndex = -1
+let hiddenColumns = new Set()
+let savedViews = []
+let activeSavedView = ''
+let savedViewsLoaded = false
+let keyboardFocus = null
+let selectedTaskIds = new Set()
+let selectionAnchor = null
+let runningTimer = null
+let timerTicker = null
 
 // Restore detail modal state after HTML replacement (extension replaces entire HTML on every change)
 const _savedState = vscode.getState()
@@ -28,8 +54,51 @@ window.addEventListener('message', event => {
       if (message.workspaceUri) {
         currentWorkspaceUri = message.workspaceUri
       }
+      // Remembered so the panel can reopen the same file after a VS Code restart
+      if (message.documentUri) {
+        vscode.setState(Object.assign({}, vscode.getState() || {}, { documentUri: message.documentUri }))
+      }
+      useEditorUndo = !!message.editorUndo
+      doneColumnIds = new Set(message.doneColumnIds || [])
+      currentUser = message.currentUser || ''
+      wipLimitMode = message.wipLimitMode || 'warn'
+      runningTimer = message.runningTimer || null
+      updateTimerTicker()
+      updateMyTasksButton()
+      updateHistoryButtons(message.canUndo, message.canRedo)
+      // The view that was active when the board was last open is restored once, on first load
+      if (!savedViewsLoaded && message.savedViews) {
+        savedViewsLoaded = true
+        savedViews = message.savedViews.views || []
+        const active = savedViews.find(view => view.name === message.savedViews.active)
+        if (active) {
+          activeSavedView = active.name
+          applyViewSettings(active)
+        }
+      }
+      // Referenced boards may have changed too; keep showing the old chips until they're re-resolved
+      taskRefsStale = true
       renderBoard()
       refreshTaskDetailModal()
+      taskRefsStale = false
+      break
+    case 'savedViews':
+      savedViews = message.views || []
+      activeSavedView = savedViews.some(view => view.name === message.active) ? message.active : ''
+      updateSavedViewSelect()
+      break
+    case 'applySavedView':
+      selectSavedView(message.name)
+      break
+    case 'columnRenamed':
+      // Sent before the renamed board, which re-renders
+      if (hiddenColumns.delete(message.oldId)) {
+        hiddenColumns.add(message.newId)
+      }
+      break
+    case 'taskRefsResolved':
+      Object.assign(taskRefCache, message.refs)
+      updateTaskRefChips()
       break
     case 'toggleTaskExpansion':
       // Open detail modal instead of inline expand
@@ -49,6 +118,21 @@ window.addEventListener('message', event => {
   }
 })
 
+function updateMyTasksButton() {
+  const button = document.getElementById('my-tasks-btn')
+  button.disabled = !currentUser
+  button.classList.toggle('active', showMyTasksOnly && !!currentUser)
+  button.title = currentUser
+    ? `Only show tasks assigned to @${currentUser}`
+    : 'Set "markdown-kanban.username" in your settings to filter by your tasks'
+}
+
+// Undo/redo history lives in the extension; the board only reflects whether a step is available
+function updateHistoryButtons(canUndo, canRedo) {
+  document.getElementById('undo-btn').disabled = !canUndo
+  document.getElementById('redo-btn').disabled = !canRedo
+}
+
 // Get display ID from task (TSK_N format stored in task.id)
 function getTaskDisplayId(task) {
   if (task.id && task.id.match(/^TSK[_-]\d+$/)) {
@@ -201,16 +285,21 @@ function renderBoard () {
   currentBoard.columns.forEach(column => {
     if (column.archived) {
       archivedColumns.push(column)
-    } else {
+    } else if (!hiddenColumns.has(column.id)) {
       normalColumns.push(column)
     }
   })
   
-  // 先渲染正常列
-  normalColumns.forEach(column => {
-    const columnElement = createColumnElement(column)
-    boardElement.appendChild(columnElement)
-  })
+  boardElement.classList.toggle('swimlanes', currentGroupBy !== 'none')
+  if (currentGroupBy !== 'none') {
+    renderSwimlanes(boardElement, normalColumns)
+  } else {
+    // 先渲染正常列
+    normalColumns.forEach(column => {
+      const columnElement = createColumnElement(column)
+      boardElement.appendChild(columnElement)
+    })
+  }
   
   // 如果有归档列，创建一个统一的归档列
   if (archivedColumns.length > 0) {
@@ -224,6 +313,37 @@ function renderBoard () {
   setupDragAndDrop()
   setupTaskExpansionEvents()
   renderColumnTabs(normalColumns)
+  renderActiveView()
+  resolveTaskRefs()
+  applySearch()
+  updateSavedViewSelect()
+  restoreKeyboardFocus()
+  updateSelection()
+}
+
+// The board is always rendered; other views are drawn on top of the same data when selected
+const ALTERNATE_VIEWS = {
+  calendar: renderCalendar,
+  timeline: renderTimeline
+}
+
+function renderActiveView() {
+  document.body.classList.toggle('alternate-view', currentView !== 'board')
+  Object.keys(ALTERNATE_VIEWS).forEach(view => {
+    document.getElementById(`${view}-view`).style.display = currentView === view ? '' : 'none'
+  })
+  document.querySelectorAll('.view-switch-btn').forEach(button => {
+    button.classList.toggle('active', button.dataset.view === currentView)
+  })
+
+  if (ALTERNATE_VIEWS[currentView]) {
+    ALTERNATE_VIEWS[currentView]()
+  }
+}
+
+function switchView(view) {
+  currentView = view
+  renderActiveView()
 }
 
 function createControlsContainer() {
@@ -244,6 +364,15 @@ function createControlsContainer() {
   controlsContainer.appendChild(showFiltersBtn)
   controlsContainer.appendChild(addColumnBtn)
 
+  const hiddenCount = currentBoard.columns.filter(column => !column.archived && hiddenColumns.has(column.id)).length
+  if (hiddenCount > 0) {
+    const showHiddenBtn = document.createElement('button')
+    showHiddenBtn.className = 'add-column-btn'
+    showHiddenBtn.textContent = `Show ${hiddenCount} hidden column${hiddenCount === 1 ? '' : 's'}`
+    showHiddenBtn.onclick = () => showHiddenColumns()
+    controlsContainer.appendChild(showHiddenBtn)
+  }
+
   const header = document.getElementById('kanban-header')
   if (header?.classList.contains('visible')) {
     showFiltersBtn.style.display = 'none'
@@ -252,12 +381,19 @@ function createControlsContainer() {
   return controlsContainer
 }
 
-function createColumnElement (column) {
+// In swimlane mode a column is rendered once per lane with only that lane's tasks
+function createColumnElement (column, lane = null) {
   const columnDiv = document.createElement('div')
   columnDiv.className = 'kanban-column'
   columnDiv.setAttribute('data-column-id', column.id)
+  // DOM IDs must stay unique when the same column appears in several lanes
+  const cellId = lane ? `${column.id}--lane-${lane.index}` : column.id
+  if (lane) {
+    columnDiv.classList.add('lane-cell')
+    columnDiv.setAttribute('data-lane-key', lane.key)
+  }
 
-  const filteredTasks = filterTasks(column.tasks)
+  const filteredTasks = filterTasks(lane ? column.tasks.filter(task => getLaneKey(task) === lane.key) : column.tasks, column)
   const sortedTasks = sortTasks(filteredTasks)
 
   // 归档列默认收起
@@ -271,30 +407,48 @@ function createColumnElement (column) {
     columnDiv.classList.add('collapsed')
   }
 
+  // WIP limits count every task in the column, whatever the filter shows
+  const isOverLimit = !!column.wipLimit && column.tasks.length > column.wipLimit
+  if (isOverLimit) {
+    columnDiv.classList.add('over-wip-limit')
+  }
+  const taskCount = column.wipLimit
+    ? `<span class="task-count wip-count${isOverLimit ? ' over-limit' : ''}" title="WIP limit: ${column.wipLimit}">${column.tasks.length}/${column.wipLimit}</span>`
+    : `<span class="task-count">${sortedTasks.length}</span>`
+  // Like the WIP count, the column's time covers every task in it, whatever the filter shows
+  const columnMinutes = column.tasks.reduce((sum, task) => sum + getLoggedMinutes(task), 0)
+  const columnTime = columnMinutes > 0
+    ? `<span class="column-time" title="Time logged in this column">⏱ ${formatDuration(columnMinutes)}</span>`
+    : ''
+
   const columnDotColor = getColumnDotColor(column.title)
   columnDiv.innerHTML = `
         <div class="column-header" draggable="true">
             <div class="column-title-section">
                 <span class="column-status-dot ${columnDotColor}"></span>
                 <h3 class="column-title">${column.title}${isArchived ? ' [Archived]' : ''}</h3>
-                <span class="task-count">${sortedTasks.length}</span>
+                ${taskCount}
+                ${columnTime}
             </div>
             <div class="column-controls-menu">
+                ${isArchived ? '' : `<button class="archive-toggle-btn" onclick="hideColumn('${column.id}')" title="Hide">👁️</button>`}
+                <button class="archive-toggle-btn" onclick="renameColumn('${column.id}')" title="Rename">✏️</button>
+                <button class="archive-toggle-btn" onclick="deleteColumn('${column.id}')" title="Delete">🗑️</button>
                 <button class="archive-toggle-btn" onclick="toggleColumnArchive('${column.id}')" 
                         title="${isArchived ? 'Unarchive' : 'Archive'}">
                     ${isArchived ? '📂' : '📁'}
                 </button>
             </div>
         </div>
-        <div class="tasks-container" id="tasks-${column.id}">
+        <div class="tasks-container" id="tasks-${cellId}">
             ${sortedTasks.map(task => createTaskElement(task, column.id)).join('')}
         </div>
-        <div class="inline-add-container" id="inline-add-${column.id}" style="display:none;">
+        <div class="inline-add-container" id="inline-add-${cellId}" style="display:none;">
             <input type="text" class="inline-add-input" placeholder="Task title..."
-                   onkeydown="handleInlineAddKey(event, '${column.id}')"
-                   onblur="cancelInlineAdd('${column.id}')">
+                   onkeydown="handleInlineAddKey(event, '${column.id}', '${cellId}')"
+                   onblur="cancelInlineAdd('${cellId}')">
         </div>
-        <button class="add-task-btn" onclick="startInlineAdd('${column.id}')">
+        <button class="add-task-btn" onclick="startInlineAdd('${cellId}')">
             + Add item
         </button>
     `
@@ -316,9 +470,13 @@ function createTaskElement (task, columnId) {
   const taskDisplayId = getTaskDisplayId(task)
 
   const issueTag = task.tags?.find(t => /^#\d+$/.test(t))
+  const openBlockers = getOpenBlockers(task)
+  const blockedBadge = openBlockers.length > 0
+    ? `<span class="task-blocked-badge" title="Blocked by ${openBlockers.map(b => `${b.task.id}: ${b.task.title}`).join(', ')}">⛔ Blocked</span>`
+    : ''
 
   return `
-        <div class="task-item"
+        <div class="task-item${openBlockers.length > 0 ? ' blocked' : ''}"
              data-task-id="${task.id}"
              data-column-id="${columnId}">
             <div class="task-header">
@@ -326,8 +484,10 @@ function createTaskElement (task, columnId) {
                 <div class="task-header-content">
                     ${issueTag ? `<div class="task-repo-label"><span class="task-repo-dot"></span>${issueTag}</div>` : ''}
                     <div class="task-title">${taskDisplayId ? `<span class="task-number" data-copy-id="${taskDisplayId}" title="Click to copy">${taskDisplayId}</span>` : ''}${task.title}</div>
+                    ${blockedBadge}
                 </div>
                 <div class="task-meta">
+                    ${createTimerElement(task, columnId)}
                     <button class="task-view-btn" onclick="event.stopPropagation(); goToSource('${task.id}')" title="View in source">View</button>
                 </div>
             </div>
@@ -338,6 +498,55 @@ function createTaskElement (task, columnId) {
     `
 }
 
+// Dependencies only link tasks on this board (TSK_N IDs are unique per file).
+// Subtasks are found too; `parent` is set for them.
+function findTaskOnBoard(taskId) {
+  if (!currentBoard) return null
+  for (const column of currentBoard.columns) {
+    const found = findTaskInColumn(column, taskId)
+    if (found) return Object.assign(found, { column })
+  }
+  return null
+}
+
+function findTaskInColumn(column, taskId) {
+  for (const task of column.tasks) {
+    if (task.id === taskId) return { task, parent: null }
+    const subtask = (task.subtasks || []).find(t => t.id === taskId)
+    if (subtask) return { task: subtask, parent: task }
+  }
+  return null
+}
+
+// Blockers that aren't in a done column yet. Unknown IDs (e.g. deleted tasks) don't block.
+function getOpenBlockers(task) {
+  return (task.blockedBy || [])
+    .map(findTaskOnBoard)
+    .filter(found => found && !doneColumnIds.has(found.column.id))
+}
+
+function getDependents(task) {
+  if (!currentBoard) return []
+  return currentBoard.columns.flatMap(column =>
+    column.tasks
+      .filter(t => t.blockedBy && t.blockedBy.includes(task.id))
+      .map(t => ({ task: t, column }))
+  )
+}
+
+function renderDependencyList(entries) {
+  return entries.map(({ task, column }) => {
+    const done = doneColumnIds.has(column.id)
+    return `
+      <div class="detail-dependency${done ? ' done' : ''}" onclick="openTaskDetailModal('${task.id}', '${column.id}')">
+        <span class="task-number">${task.id}</span>
+        <span class="detail-dependency-title">${task.title}</span>
+        <span class="detail-dependency-column">${done ? '✓ ' : ''}${column.title}</span>
+      </div>
+    `
+  }).join('')
+}
+
 function getTaskExpansionState(task) {
   let isExpanded = expandedTasks.has(task.id)
   if (!expandedTasks.has(task.id) && !expandedTasks.has(`manually_toggled_${task.id}`)) {
@@ -365,8 +574,9 @@ function createCardLabelsRow(task, deadlineInfo, priorityClass) {
   const hasPriority = !!task.priority
   const hasDeadline = !!deadlineInfo
   const hasTags = task.tags && task.tags.length > 0
+  const hasAssignees = task.assignees && task.assignees.length > 0
 
-  if (!hasPriority && !hasDeadline && !hasTags) return ''
+  if (!hasPriority && !hasDeadline && !hasTags && !hasAssignees) return ''
 
   let html = '<div class="task-tags">'
   if (hasPriority) {
@@ -382,6 +592,9 @@ function createCardLabelsRow(task, deadlineInfo, priorityClass) {
       return `<span class="task-tag"${dataAttr}>${tag}</span>`
     }).join('')
   }
+  if (hasAssignees) {
+    html += `<span class="task-assignees">${createAssigneeChips(task.assignees)}</span>`
+  }
   html += '</div>'
   return html
 }
@@ -436,19 +649,28 @@ function createDescriptionPreview(task) {
   return `<div class="task-desc-preview">${preview.replace(/</g, '&lt;').replace(/>/g, '&gt;')}${ellipsis}</div>`
 }
 
+// Each subtask counts as one item on top of the AC (or, without AC, the steps)
 function createProgressBar(task) {
   const acProgress = getStepsProgress(task.ac)
   const stepsProgress = getStepsProgress(task.steps)
-  const progress = acProgress.total > 0 ? acProgress : stepsProgress
+  const subtaskProgress = getStepsProgress(task.subtasks)
+  const ownProgress = acProgress.total > 0 ? acProgress : stepsProgress
+  const progress = {
+    completed: ownProgress.completed + subtaskProgress.completed,
+    total: ownProgress.total + subtaskProgress.total
+  }
 
   if (progress.total === 0) return ''
 
   const pct = Math.round((progress.completed / progress.total) * 100)
   const isComplete = progress.completed === progress.total
   const fillClass = isComplete ? 'fill-complete' : (acProgress.total > 0 ? 'fill-ac' : 'fill-steps')
+  const title = subtaskProgress.total > 0
+    ? ` title="Subtasks: ${subtaskProgress.completed}/${subtaskProgress.total}"`
+    : ''
 
   return `
-    <div class="task-progress-bar">
+    <div class="task-progress-bar"${title}>
       <div class="task-progress-bar-fill ${fillClass}" style="width: ${pct}%"></div>
     </div>
   `
@@ -462,6 +684,8 @@ function renderDescriptionHtml(text) {
     .replace(/>/g, '&gt;')
     .replace(/"/g, '&quot;')
 
+  safe = renderTaskRefs(safe)
+
   // Convert ![alt](path) to underlined hover-trigger links
   safe = safe.replace(/!\[([^\]]*)\]\(([^)]+)\)/g, (match, alt, src) => {
     let resolvedSrc = src
@@ -583,6 +807,8 @@ function renderFilesHtml(filesText) {
     .replace(/>/g, '&gt;')
     .replace(/"/g, '&quot;')
 
+  safe = renderTaskRefs(safe)
+
   // Convert [text](path) markdown links to clickable links
   safe = safe.replace(/\[([^\]]+)\]\(([^)]+)\)/g, (match, text, path) => {
     const escapedPath = path.replace(/'/g, "\\'")
@@ -592,7 +818,81 @@ function renderFilesHtml(filesText) {
   return safe
 }
 
+// Cross-file task references such as `board.md#TSK_12` (path relative to this board's file).
+// Chips render immediately and are filled in with the target's title and column once the
+// extension has looked them up.
+const TASK_REF_PATTERN = /(?<![\w/.(-])((?:\.{1,2}\/|[\w.-]+\/)*[\w.-]+\.md)#(TSK_\d+)\b/g
+let taskRefCache = {}
+let taskRefsStale = false
+
+function renderTaskRefs(safeHtml) {
+  return safeHtml.replace(TASK_REF_PATTERN, ref =>
+    `<span class="task-ref-chip" data-task-ref="${ref}" title="${ref}" onclick="event.stopPropagation(); openTaskRef(this.dataset.taskRef)">${ref}</span>`
+  )
+}
+
+// Ask the extension about every chip on screen it hasn't resolved yet (or all of them after a board update)
+function resolveTaskRefs() {
+  const refs = new Set()
+  document.querySelectorAll('.task-ref-chip').forEach(chip => {
+    const ref = chip.dataset.taskRef
+    if (taskRefsStale || !taskRefCache[ref]) {
+      refs.add(ref)
+    }
+  })
+  if (refs.size > 0) {
+    vscode.postMessage({ type: 'resolveTaskRefs', refs: Array.from(refs) })
+  }
+  updateTaskRefChips()
+}
+
+function updateTaskRefChips() {
+  document.querySelectorAll('.task-ref-chip').forEach(chip => {
+    const ref = chip.dataset.taskRef
+    const info = taskRefCache[ref]
+    if (!info) return
+
+    chip.classList.toggle('unresolved', !info.found)
+    chip.textContent = ''
+    if (!info.found) {
+      chip.textContent = ref
+      chip.title = `${ref} (task not found)`
+      return
+    }
+
+    const idSpan = document.createElement('span')
+    idSpan.className = 'task-ref-id'
+    idSpan.textContent = ref.split('#')[1]
+    const titleSpan = document.createElement('span')
+    titleSpan.className = 'task-ref-title'
+    titleSpan.textContent = info.title
+    const columnSpan = document.createElement('span')
+    columnSpan.className = 'task-ref-column'
+    columnSpan.textContent = info.column
+    chip.append(idSpan, titleSpan, columnSpan)
+    chip.title = `${ref} — ${info.title} (${info.column})`
+  })
+}
+
+// Resolved references jump to the task's source; anything else just opens the referenced file
+function openTaskRef(ref) {
+  const [path, taskId] = ref.split('#')
+  const info = taskRefCache[ref]
+  if (info && info.found) {
+    vscode.postMessage({ type: 'goToSource', taskId: taskId, path: path })
+  } else {
+    vscode.postMessage({ type: 'openFile', path: path })
+  }
+}
+
 function createTaskInfoElement(task) {
+  const startInfo = task.startDate
+    ? `<div class="task-info-item">
+         <span class="task-info-label">Start:</span>
+         <span>${task.startDate}</span>
+       </div>`
+    : ''
+
   const dueInfo = task.dueDate
     ? `<div class="task-info-item">
          <span class="task-info-label">Due:</span>
@@ -600,6 +900,13 @@ function createTaskInfoElement(task) {
        </div>`
     : ''
 
+  const repeatInfo = task.repeat
+    ? `<div class="task-info-item">
+         <span class="task-info-label">Repeat:</span>
+         <span>${task.repeat}</span>
+       </div>`
+    : ''
+
   const workloadInfo = task.workload
     ? `<div class="task-info-item">
          <span class="task-info-label">Workload:</span>
@@ -607,7 +914,7 @@ function createTaskInfoElement(task) {
        </div>`
     : ''
 
-  return `<div class="task-info">${dueInfo}${workloadInfo}</div>`
+  return `<div class="task-info">${startInfo}${dueInfo}${repeatInfo}${workloadInfo}</div>`
 }
 
 function createTaskActions(taskId, columnId) {
@@ -619,33 +926,269 @@ function createTaskActions(taskId, columnId) {
   `
 }
 
-// Filter tasks
-function filterTasks (tasks) {
-  if (!currentTagFilter) return tasks
+// ===== Filter query language =====
+// Terms are ANDed unless separated by OR, `|` or `,`; `-term` or NOT negates and parentheses
+// group. A term is free text (matched against title, description, ID, workload and tags, so
+// "design,ui" is no longer tags only), "quoted text" or field:value, where date fields accept <, <=, >, >= and values like 2025-03-01, today or 7d.
+class FilterQueryError extends Error {
+  constructor(message, position) {
+    super(`${message} (position ${position + 1})`)
+    this.position = position
+  }
+}
 
-  const filterTags = currentTagFilter
-    .toLowerCase()
-    .split(',')
-    .map(tag => tag.trim())
-    .filter(tag => tag)
-  
-  if (filterTags.length === 0) return tasks
+const FILTER_PRIORITIES = ['high', 'medium', 'low']
+
+const FILTER_HAS = {
+  due: task => !!task.dueDate,
+  start: task => !!task.startDate,
+  repeat: task => !!task.repeat,
+  description: task => !!task.description,
+  tags: task => !!(task.tags && task.tags.length),
+  assignee: task => !!(task.assignees && task.assignees.length),
+  steps: task => !!(task.steps && task.steps.length),
+  subtasks: task => !!(task.subtasks && task.subtasks.length),
+  ac: task => !!(task.ac && task.ac.length),
+  verify: task => !!(task.verify && task.verify.length),
+  files: task => !!task.files,
+  logged: task => !!(task.logged && task.logged.length),
+  blockers: task => !!(task.blockedBy && task.blockedBy.length)
+}
 
-  return tasks.filter(task => {
-    const allTags = []
-    if (task.workload) {
-      allTags.push(task.workload.toLowerCase())
+const FILTER_IS = {
+  overdue: (task, column) => {
+    const dueDate = parseDateKey(task.dueDate)
+    return !!dueDate && dueDate < parseDateKey(toDateKey(new Date())) && !doneColumnIds.has(column.id)
+  },
+  blocked: task => getOpenBlockers(task).length > 0,
+  done: (task, column) => doneColumnIds.has(column.id),
+  open: (task, column) => !doneColumnIds.has(column.id),
+  archived: (task, column) => !!column.archived,
+  mine: task => !!currentUser && (task.assignees || []).some(name => name.toLowerCase() === currentUser.toLowerCase())
+}
+
+function includesText(value, text) {
+  return !!value && value.toLowerCase().includes(text)
+}
+
+function tokenizeFilterQuery(text) {
+  const tokens = []
+  const isDelimiter = char => /[\s(),|]/.test(char)
+  let i = 0
+
+  const readQuoted = () => {
+    const start = i
+    const end = text.indexOf('"', i + 1)
+    if (end === -1) throw new FilterQueryError('Unterminated quote', start)
+    i = end + 1
+    return text.slice(start + 1, end)
+  }
+
+  while (i < text.length) {
+    const char = text[i]
+    const position = i
+
+    if (/\s/.test(char)) {
+      i++
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: char, position })
+      i++
+    } else if (char === ',' || char === '|') {
+      tokens.push({ type: 'or', position })
+      i++
+    } else if (char === '-' && i + 1 < text.length && !/[\s),|]/.test(text[i + 1])) {
+      tokens.push({ type: 'not', position })
+      i++
+    } else if (char === '"') {
+      tokens.push({ type: 'term', field: null, value: readQuoted(), position })
+    } else {
+      while (i < text.length && !isDelimiter(text[i]) && text[i] !== ':' && text[i] !== '"') i++
+      const word = text.slice(position, i)
+
+      if (text[i] === ':' && word) {
+        i++
+        let value
+        if (text[i] === '"') {
+          value = readQuoted()
+        } else {
+          const valueStart = i
+          while (i < text.length && !isDelimiter(text[i])) i++
+          value = text.slice(valueStart, i)
+        }
+        if (!value) throw new FilterQueryError(`Missing value after "${word}:"`, position)
+        tokens.push({ type: 'term', field: word.toLowerCase(), value, position })
+      } else if (word === 'OR' || word === 'AND' || word === 'NOT') {
+        tokens.push({ type: word.toLowerCase(), position })
+      } else if (word) {
+        tokens.push({ type: 'term', field: null, value: word, position })
+      } else {
+        // A stray ':' or '"' directly after a word
+        throw new FilterQueryError(`Unexpected "${text[i]}"`, i)
+      }
     }
-    if (task.tags && task.tags.length > 0) {
-      allTags.push(...task.tags.map(tag => tag.toLowerCase()))
+  }
+
+  return tokens
+}
+
+// Resolves `today`, `tomorrow`, `yesterday`, `7d`, `-2w` or `2025-03-01` to a local date
+function parseFilterDate(value, position) {
+  const today = parseDateKey(toDateKey(new Date()))
+  const relative = /^([+-]?\d+)([dw])$/.exec(value)
+  if (relative) return addDays(today, Number(relative[1]) * (relative[2] === 'w' ? 7 : 1))
+  if (value === 'today') return today
+  if (value === 'tomorrow') return addDays(today, 1)
+  if (value === 'yesterday') return addDays(today, -1)
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return parseDateKey(value)
+  throw new FilterQueryError(`Invalid date "${value}"`, position)
+}
+
+function compileDateTerm(field, value, position) {
+  const [, operator, dateText] = /^(<=|>=|<|>|=)?(.*)$/.exec(value)
+  const date = parseFilterDate(dateText.toLowerCase(), position)
+  const compare = {
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b,
+    '=': (a, b) => a.getTime() === b.getTime()
+  }[operator || '=']
+
+  return task => {
+    const taskDate = parseDateKey(field === 'due' ? task.dueDate : task.startDate)
+    return !!taskDate && compare(taskDate, date)
+  }
+}
+
+function compileFilterTerm({ field, value, position }) {
+  const text = value.toLowerCase()
+
+  switch (field) {
+    case null:
+      return task => includesText(task.title, text) ||
+        includesText(task.description, text) ||
+        includesText(task.id, text) ||
+        includesText(task.workload, text) ||
+        (task.tags || []).some(tag => includesText(tag, text))
+    case 'tag':
+      return task => (task.tags || []).some(tag => includesText(tag, text))
+    case 'priority':
+      if (!FILTER_PRIORITIES.includes(text)) {
+        throw new FilterQueryError(`Unknown priority "${value}" (use ${FILTER_PRIORITIES.join(', ')})`, position)
+      }
+      return task => task.priority === text
+    case 'workload':
+      return task => includesText(task.workload, text)
+    case 'column':
+      return (task, column) => includesText(column.title, text)
+    case 'assignee': {
+      const name = normalizeAssignee(text)
+      return task => (task.assignees || []).some(assignee => includesText(assignee, name))
     }
-    
-    if (allTags.length === 0) return false
-    
-    return filterTags.some(filterTag =>
-      allTags.some(taskTag => taskTag.includes(filterTag))
-    )
-  })
+    case 'id':
+      return task => includesText(task.id, text)
+    case 'due':
+    case 'start':
+      return compileDateTerm(field, value, position)
+    case 'has':
+      if (!FILTER_HAS[text]) {
+        throw new FilterQueryError(`Unknown has:${value} (use ${Object.keys(FILTER_HAS).join(', ')})`, position)
+      }
+      return FILTER_HAS[text]
+    case 'is':
+      if (!FILTER_IS[text]) {
+        throw new FilterQueryError(`Unknown is:${value} (use ${Object.keys(FILTER_IS).join(', ')})`, position)
+      }
+      return FILTER_IS[text]
+    default:
+      throw new FilterQueryError(`Unknown field "${field}"`, position)
+  }
+}
+
+// Compiles a query into a (task, column) => boolean predicate, or null for an empty query.
+// Throws FilterQueryError for syntax errors.
+function compileFilterQuery(text) {
+  const tokens = tokenizeFilterQuery(text)
+  if (tokens.length === 0) return null
+  let index = 0
+
+  const peek = () => tokens[index]
+  const endPosition = () => text.length
+
+  const parseOr = () => {
+    const parts = [parseAnd()]
+    while (peek() && peek().type === 'or') {
+      index++
+      parts.push(parseAnd())
+    }
+    return parts.length === 1 ? parts[0] : (task, column) => parts.some(part => part(task, column))
+  }
+
+  const parseAnd = () => {
+    const parts = [parseUnary()]
+    while (peek() && peek().type !== 'or' && peek().type !== ')') {
+      if (peek().type === 'and') index++
+      parts.push(parseUnary())
+    }
+    return parts.length === 1 ? parts[0] : (task, column) => parts.every(part => part(task, column))
+  }
+
+  const parseUnary = () => {
+    const token = tokens[index++]
+    if (!token) throw new FilterQueryError('Expected a search term', endPosition())
+
+    switch (token.type) {
+      case 'not': {
+        const operand = parseUnary()
+        return (task, column) => !operand(task, column)
+      }
+      case '(': {
+        const inner = parseOr()
+        if (!peek() || peek().type !== ')') throw new FilterQueryError('Missing ")"', token.position)
+        index++
+        return inner
+      }
+      case 'term':
+        return compileFilterTerm(token)
+      default:
+        throw new FilterQueryError(`Unexpected "${text.slice(token.position).split(/\s/)[0]}"`, token.position)
+    }
+  }
+
+  const predicate = parseOr()
+  if (index < tokens.length) {
+    throw new FilterQueryError('Unexpected ")"', tokens[index].position)
+  }
+  return predicate
+}
+
+// An invalid query keeps the last valid one applied so the board doesn't flicker while typing
+function setFilterQuery(text) {
+  const input = document.getElementById('tag-filter')
+  const errorElement = document.getElementById('filter-error')
+  currentFilterText = text
+
+  try {
+    currentFilterPredicate = compileFilterQuery(text)
+    errorElement.textContent = ''
+    input.classList.remove('invalid')
+  } catch (error) {
+    if (!(error instanceof FilterQueryError)) throw error
+    errorElement.textContent = error.message
+    input.classList.add('invalid')
+  }
+}
+
+// Filter tasks. `column` is the column the tasks belong to (used by column: and is: terms).
+function filterTasks (tasks, column) {
+  if (showMyTasksOnly && currentUser) {
+    const me = currentUser.toLowerCase()
+    tasks = tasks.filter(task => (task.assignees || []).some(name => name.toLowerCase() === me))
+  }
+
+  if (!currentFilterPredicate) return tasks
+
+  return tasks.filter(task => currentFilterPredicate(task, column))
 }
 
 // Sort tasks
@@ -717,100 +1260,1197 @@ function setupDragAndDrop() {
   setupTaskDragAndDrop()
 }
 
-function setupTaskDragAndDrop() {
-  document.querySelectorAll('.kanban-column').forEach(columnElement => {
-    const columnId = columnElement.dataset.columnId
-    const tasksContainer = columnElement.querySelector('.tasks-container')
+function setupTaskDragAndDrop() {
+  document.querySelectorAll('.kanban-column').forEach(columnElement => {
+    const columnId = columnElement.dataset.columnId
+    const tasksContainer = columnElement.querySelector('.tasks-container')
+
+    columnElement.addEventListener('dragover', e => {
+      e.preventDefault()
+      columnElement.classList.add('drag-over')
+
+      const targetColumn = currentBoard && currentBoard.columns.find(col => col.id === columnId)
+      const isFull = !!targetColumn?.wipLimit && targetColumn.tasks.length >= targetColumn.wipLimit
+      const draggedFromHere = !!columnElement.querySelector('.task-item.dragging')
+      columnElement.classList.toggle('drag-over-limit', isFull && !draggedFromHere)
+
+      const draggingElement = document.querySelector('.task-item.dragging')
+      if (draggingElement) {
+        const afterElement = getDragAfterTaskElement(tasksContainer, e.clientY)
+
+        tasksContainer.querySelectorAll('.task-item').forEach(task => {
+          task.classList.remove('drag-insert-before', 'drag-insert-after')
+        })
+
+        if (afterElement == null) {
+          const lastTask = tasksContainer.querySelector('.task-item:last-child')
+          if (lastTask && lastTask !== draggingElement) {
+            lastTask.classList.add('drag-insert-after')
+          }
+        } else if (afterElement !== draggingElement) {
+          afterElement.classList.add('drag-insert-before')
+        }
+      }
+    })
+
+    columnElement.addEventListener('dragleave', e => {
+      if (!columnElement.contains(e.relatedTarget)) {
+        columnElement.classList.remove('drag-over', 'drag-over-limit')
+        tasksContainer.querySelectorAll('.task-item').forEach(task => {
+          task.classList.remove('drag-insert-before', 'drag-insert-after')
+        })
+      }
+    })
+
+    columnElement.addEventListener('drop', e => {
+      e.preventDefault()
+      columnElement.classList.remove('drag-over', 'drag-over-limit')
+
+      tasksContainer.querySelectorAll('.task-item').forEach(task => {
+        task.classList.remove('drag-insert-before', 'drag-insert-after')
+      })
+
+      const taskId = e.dataTransfer.getData('text/plain')
+      const fromColumnId = e.dataTransfer.getData('application/column-id')
+
+      if (taskId && fromColumnId) {
+        if (!checkWipLimitOnDrop(fromColumnId, columnId)) return
+
+        // Crossing swimlanes changes the grouped field; across columns it goes with the move
+        // so the host saves both as one change
+        const toLaneKey = columnElement.dataset.laneKey
+        const fromLaneKey = e.dataTransfer.getData('application/lane-key')
+        const changesLane = toLaneKey !== undefined && toLaneKey !== fromLaneKey
+        if (changesLane && fromColumnId === columnId) {
+          moveTaskToLane(taskId, fromColumnId, toLaneKey)
+          return
+        }
+
+        const task = changesLane && findTaskOnBoard(taskId)?.task
+
+        vscode.postMessage({
+          type: 'moveTask',
+          taskId: taskId,
+          fromColumnId: fromColumnId,
+          toColumnId: columnId,
+          dropTarget: getDropTarget(tasksContainer, e.clientY),
+          taskData: task ? applyLaneToTask(task, toLaneKey) : undefined
+        })
+      }
+    })
+
+    // Make entire task card draggable (not just the handle)
+    columnElement.querySelectorAll('.task-item').forEach(taskItem => {
+      setupTaskCardDrag(taskItem)
+    })
+  })
+}
+
+// ===== Swimlanes =====
+// Lanes group tasks by one field; the key is the field value ('' for tasks without one)
+const LANE_FIELDS = {
+  tag: { label: 'Tag', empty: 'No tag', fixed: null },
+  priority: { label: 'Priority', empty: 'No priority', fixed: ['high', 'medium', 'low'] },
+  workload: { label: 'Workload', empty: 'No workload', fixed: ['Extreme', 'Hard', 'Normal', 'Easy'] },
+  assignee: { label: 'Assignee', empty: 'Unassigned', fixed: null }
+}
+
+function getLaneKey(task) {
+  switch (currentGroupBy) {
+    case 'tag': return (task.tags && task.tags[0]) || ''
+    case 'priority': return task.priority || ''
+    case 'workload': return task.workload || ''
+    case 'assignee': return (task.assignees && task.assignees[0]) || ''
+    default: return ''
+  }
+}
+
+function getLaneLabel(key) {
+  const field = LANE_FIELDS[currentGroupBy]
+  if (!key) return field.empty
+  if (currentGroupBy === 'priority') return `${getPriorityText(key)} ${key.charAt(0).toUpperCase() + key.slice(1)}`
+  if (currentGroupBy === 'assignee') return `@${key}`
+  return key
+}
+
+// Fixed fields always show every lane so cards can be dragged into an empty one
+function getLaneKeys(columns) {
+  const field = LANE_FIELDS[currentGroupBy]
+  const used = new Set(columns.flatMap(column => column.tasks.map(getLaneKey)))
+  const keys = field.fixed
+    ? field.fixed.slice()
+    : Array.from(used).filter(key => key).sort((a, b) => a.localeCompare(b))
+  keys.push('')
+  return keys
+}
+
+function renderSwimlanes(boardElement, columns) {
+  getLaneKeys(columns).forEach((key, index) => {
+    const laneId = `${currentGroupBy}:${key}`
+    const isCollapsed = collapsedLanes.has(laneId)
+    const laneCount = columns.reduce((total, column) =>
+      total + filterTasks(column.tasks.filter(task => getLaneKey(task) === key), column).length, 0)
+
+    const laneElement = document.createElement('div')
+    laneElement.className = 'swimlane' + (isCollapsed ? ' collapsed' : '')
+
+    const header = document.createElement('div')
+    header.className = 'swimlane-header'
+    header.innerHTML = `<span class="expand-icon">${isCollapsed ? '▶' : '▼'}</span><span class="swimlane-title"></span><span class="task-count">${laneCount}</span>`
+    header.querySelector('.swimlane-title').textContent = getLaneLabel(key)
+    header.addEventListener('click', () => {
+      if (collapsedLanes.has(laneId)) {
+        collapsedLanes.delete(laneId)
+      } else {
+        collapsedLanes.add(laneId)
+      }
+      renderBoard()
+    })
+    laneElement.appendChild(header)
+
+    const row = document.createElement('div')
+    row.className = 'swimlane-columns'
+    columns.forEach(column => {
+      const cell = createColumnElement(column, { key, index })
+      // Column headers (with their controls and column dragging) only on the first lane
+      if (index > 0) {
+        cell.classList.add('no-column-header')
+      }
+      row.appendChild(cell)
+    })
+    laneElement.appendChild(row)
+    boardElement.appendChild(laneElement)
+  })
+}
+
+// Returns a copy of taskData with the grouped field set to the lane's value
+function applyLaneToTask(taskData, laneKey) {
+  const updated = Object.assign({}, taskData)
+  switch (currentGroupBy) {
+    case 'tag': {
+      // The lane is the first tag: put the new one first, or drop all tags for "No tag"
+      const rest = (updated.tags || []).slice(1).filter(tag => tag !== laneKey)
+      updated.tags = laneKey ? [laneKey, ...rest] : []
+      break
+    }
+    case 'priority':
+      updated.priority = laneKey || undefined
+      break
+    case 'workload':
+      updated.workload = laneKey || undefined
+      break
+    case 'assignee': {
+      const rest = (updated.assignees || []).slice(1).filter(name => name !== laneKey)
+      updated.assignees = laneKey ? [laneKey, ...rest] : []
+      break
+    }
+  }
+  return updated
+}
+
+function moveTaskToLane(taskId, columnId, laneKey) {
+  const column = currentBoard.columns.find(col => col.id === columnId)
+  const task = column?.tasks.find(t => t.id === taskId)
+  if (!task) return
+
+  postTaskUpdate(taskId, columnId, applyLaneToTask(task, laneKey))
+}
+
+// editTask replaces every form field, so views that change a single field send the whole
+// task with that field changed
+function postTaskUpdate(taskId, columnId, taskData) {
+  vscode.postMessage({
+    type: 'editTask',
+    taskId: taskId,
+    columnId: columnId,
+    taskData: taskData
+  })
+}
+
+// ===== Keyboard navigation =====
+// Focus is kept as the card's task ID plus the cell (column, or column within a swimlane) it
+// sits in, so it survives the re-render that follows every change.
+function getCellId(cell) {
+  return cell.querySelector('.tasks-container').id.slice('tasks-'.length)
+}
+
+function getFocusedCard() {
+  return document.querySelector(`#kanban-board .kanban-column:not(.unified-archive) .task-item[data-task-id="${keyboardFocus.taskId}"]`)
+}
+
+function setKeyboardFocus(cell, card) {
+  document.querySelectorAll('.keyboard-focus').forEach(element => element.classList.remove('keyboard-focus'))
+  if (!cell) {
+    keyboardFocus = null
+    return
+  }
+
+  keyboardFocus = { cellId: getCellId(cell), taskId: card ? card.dataset.taskId : null }
+  const element = card || cell
+  element.classList.add('keyboard-focus')
+  element.scrollIntoView({ block: 'nearest', inline: 'nearest' })
+}
+
+function restoreKeyboardFocus() {
+  if (!keyboardFocus) return
+  const card = keyboardFocus.taskId ? getFocusedCard() : null
+  const tasksContainer = document.getElementById(`tasks-${keyboardFocus.cellId}`)
+  const cell = card ? card.closest('.kanban-column') : tasksContainer && tasksContainer.closest('.kanban-column')
+  setKeyboardFocus(cell, card)
+}
+
+// Up/Down walk the cards of the focused cell; Left/Right go to the neighbouring cell in the
+// same row (swimlane) and pick the card at the same position
+function moveKeyboardFocus(key) {
+  const focusedContainer = keyboardFocus && document.getElementById(`tasks-${keyboardFocus.cellId}`)
+  if (!focusedContainer) {
+    const firstCell = document.querySelector('#kanban-board .kanban-column:not(.unified-archive)')
+    if (firstCell) setKeyboardFocus(firstCell, firstCell.querySelector('.task-item'))
+    return
+  }
+
+  const cell = focusedContainer.closest('.kanban-column')
+  const cards = Array.from(cell.querySelectorAll('.task-item'))
+  const index = cards.findIndex(card => card.dataset.taskId === keyboardFocus.taskId)
+
+  if (key === 'ArrowUp' || key === 'ArrowDown') {
+    const next = cards[key === 'ArrowUp' ? Math.max(index - 1, 0) : Math.min(index + 1, cards.length - 1)]
+    if (next) setKeyboardFocus(cell, next)
+    return
+  }
+
+  const row = Array.from(cell.parentElement.children).filter(element =>
+    element.classList.contains('kanban-column') && !element.classList.contains('unified-archive'))
+  const neighbour = row[row.indexOf(cell) + (key === 'ArrowLeft' ? -1 : 1)]
+  if (!neighbour) return
+  const neighbourCards = neighbour.querySelectorAll('.task-item')
+  setKeyboardFocus(neighbour, neighbourCards[Math.min(Math.max(index, 0), neighbourCards.length - 1)] || null)
+}
+
+// Alt+Left/Right moves the card to the end of the neighbouring column; Alt+Up/Down swaps it
+// with the visible card above or below. Both go through moveTask like a drag would.
+function moveFocusedTask(card, columnId, key) {
+  const taskId = card.dataset.taskId
+  const column = currentBoard.columns.find(col => col.id === columnId)
+  if (!column) return
+
+  if (key === 'ArrowLeft' || key === 'ArrowRight') {
+    const columns = currentBoard.columns.filter(col => !col.archived && !hiddenColumns.has(col.id))
+    const target = columns[columns.indexOf(column) + (key === 'ArrowLeft' ? -1 : 1)]
+    if (!target || !checkWipLimitOnDrop(columnId, target.id)) return
+
+    vscode.postMessage({
+      type: 'moveTask',
+      taskId: taskId,
+      fromColumnId: columnId,
+      toColumnId: target.id,
+      newIndex: target.tasks.length
+    })
+    return
+  }
+
+  const cards = Array.from(card.parentElement.querySelectorAll('.task-item'))
+  const neighbour = cards[cards.indexOf(card) + (key === 'ArrowUp' ? -1 : 1)]
+  if (!neighbour) return
+
+  // Indexes are into the column's full task list, which may include filtered-out tasks
+  vscode.postMessage({
+    type: 'moveTask',
+    taskId: taskId,
+    fromColumnId: columnId,
+    toColumnId: columnId,
+    newIndex: column.tasks.findIndex(task => task.id === neighbour.dataset.taskId)
+  })
+}
+
+function openShortcutsModal() {
+  document.getElementById('shortcuts-modal').style.display = 'block'
+}
+
+function closeShortcutsModal() {
+  document.getElementById('shortcuts-modal').style.display = 'none'
+}
+
+// ===== Multi-select and bulk actions =====
+function getSelectableCards() {
+  return Array.from(document.querySelectorAll('#kanban-board .task-item, #kanban-board .archive-task-item'))
+}
+
+function toggleTaskSelection(taskId) {
+  if (selectedTaskIds.has(taskId)) {
+    selectedTaskIds.delete(taskId)
+  } else {
+    selectedTaskIds.add(taskId)
+  }
+  selectionAnchor = taskId
+  updateSelection()
+}
+
+// Selects every card between the anchor and the clicked card, in display order
+function selectTaskRange(fromTaskId, toTaskId) {
+  const ids = getSelectableCards().map(card => card.dataset.taskId)
+  const from = ids.indexOf(fromTaskId)
+  const to = ids.indexOf(toTaskId)
+  if (from === -1 || to === -1) {
+    toggleTaskSelection(toTaskId)
+    return
+  }
+  ids.slice(Math.min(from, to), Math.max(from, to) + 1).forEach(id => selectedTaskIds.add(id))
+  updateSelection()
+}
+
+function clearSelection() {
+  selectedTaskIds.clear()
+  selectionAnchor = null
+  updateSelection()
+}
+
+// Drops tasks that no longer exist, marks the selected cards and shows the bulk bar
+function updateSelection() {
+  selectedTaskIds.forEach(id => {
+    if (!findTaskOnBoard(id)) selectedTaskIds.delete(id)
+  })
+  getSelectableCards().forEach(card => card.classList.toggle('selected', selectedTaskIds.has(card.dataset.taskId)))
+
+  const bar = document.getElementById('bulk-bar')
+  bar.style.display = selectedTaskIds.size > 0 ? 'flex' : 'none'
+  document.body.classList.toggle('bulk-selecting', selectedTaskIds.size > 0)
+  if (selectedTaskIds.size === 0) return
+
+  document.getElementById('bulk-count').textContent = `${selectedTaskIds.size} selected`
+  document.getElementById('bulk-move').innerHTML = '<option value="" selected disabled>Move to…</option>' +
+    currentBoard.columns
+      .filter(column => !column.archived)
+      .map(column => `<option value="${column.id}">${column.title}</option>`)
+      .join('')
+}
+
+function getSelectedTaskRefs() {
+  return Array.from(selectedTaskIds)
+    .map(findTaskOnBoard)
+    .filter(found => found)
+    .map(({ task, column }) => ({ taskId: task.id, columnId: column.id }))
+}
+
+// The whole selection goes to the extension as one bulkUpdate, so it is one save and one undo step
+function sendBulkUpdate(action, value) {
+  const tasks = getSelectedTaskRefs()
+  if (tasks.length === 0) return
+
+  if (action === 'move') {
+    const movingCount = tasks.filter(ref => ref.columnId !== value).length
+    if (!checkWipLimitOnDrop(null, value, movingCount)) return
+  }
+
+  vscode.postMessage({ type: 'bulkUpdate', tasks, action, value })
+  if (action === 'delete' || action === 'archive') {
+    clearSelection()
+  }
+}
+
+function bulkDelete() {
+  const count = selectedTaskIds.size
+  showConfirmModal(`Are you sure you want to delete ${count} task${count === 1 ? '' : 's'}?`, () => sendBulkUpdate('delete'))
+}
+
+function bulkEditTag(action) {
+  const input = document.getElementById('bulk-tag')
+  const tag = input.value.trim()
+  if (!tag) {
+    input.focus()
+    return
+  }
+  sendBulkUpdate(action, tag)
+  input.value = ''
+}
+
+// ===== Saved views =====
+// A saved view is the filter, sort, grouping and hidden columns under a name. The extension
+// stores them per board file; the board only applies them.
+
+// Values of the view picker's action entries, which views can't be named
+const SAVED_VIEW_ACTIONS = ['__save', '__delete']
+
+function getViewSettings() {
+  return {
+    filter: currentFilterText,
+    sort: currentSort,
+    groupBy: currentGroupBy,
+    hiddenColumns: Array.from(hiddenColumns).sort()
+  }
+}
+
+function applyViewSettings(settings) {
+  const filter = settings.filter || ''
+  document.getElementById('tag-filter').value = filter
+  setFilterQuery(filter)
+  currentSort = settings.sort || 'none'
+  document.getElementById('sort-select').value = currentSort
+  currentGroupBy = settings.groupBy || 'none'
+  document.getElementById('group-select').value = currentGroupBy
+  hiddenColumns = new Set(settings.hiddenColumns || [])
+}
+
+// An empty name goes back to the default (unfiltered) view
+function selectSavedView(name) {
+  const view = savedViews.find(v => v.name === name)
+  activeSavedView = view ? view.name : ''
+  applyViewSettings(view || {})
+  vscode.postMessage({ type: 'setActiveView', name: activeSavedView })
+  renderBoard()
+}
+
+function saveCurrentView() {
+  showInputModal(
+    'Save View',
+    'Save the current filter, sort, grouping and hidden columns as:',
+    'View name...',
+    name => {
+      if (SAVED_VIEW_ACTIONS.includes(name)) {
+        vscode.postMessage({ type: 'showMessage', level: 'error', text: `"${name}" can't be used as a view name.` })
+        return
+      }
+      vscode.postMessage({ type: 'saveView', view: Object.assign({ name }, getViewSettings()) })
+    },
+    activeSavedView
+  )
+}
+
+function deleteSavedView() {
+  const name = activeSavedView
+  showConfirmModal(`Delete the saved view "${name}"? The board itself is not changed.`, () => {
+    vscode.postMessage({ type: 'deleteView', name })
+  })
+}
+
+function updateSavedViewSelect() {
+  const select = document.getElementById('saved-view-select')
+  const active = savedViews.find(view => view.name === activeSavedView)
+  const settingsKey = settings => JSON.stringify([
+    settings.filter || '',
+    settings.sort || 'none',
+    settings.groupBy || 'none',
+    (settings.hiddenColumns || []).slice().sort()
+  ])
+  const modified = active && settingsKey(active) !== settingsKey(getViewSettings())
+
+  // View names are user text, so the options are built as elements rather than markup
+  const addOption = (value, label, disabled) => {
+    const option = document.createElement('option')
+    option.value = value
+    option.textContent = label
+    option.disabled = !!disabled
+    select.appendChild(option)
+  }
+
+  select.replaceChildren()
+  addOption('', 'Default view')
+  savedViews.forEach(view => addOption(view.name, view.name + (modified && view === active ? ' (modified)' : '')))
+  addOption('──────────', '──────────', true)
+  addOption('__save', 'Save current view…')
+  if (active) {
+    addOption('__delete', 'Delete this view…')
+  }
+  select.value = activeSavedView
+}
+
+function hideColumn(columnId) {
+  hiddenColumns.add(columnId)
+  renderBoard()
+}
+
+function showHiddenColumns() {
+  hiddenColumns.clear()
+  renderBoard()
+}
+
+// ===== Search =====
+// Search highlights instead of hiding: it walks the cards currently on the board (archive
+// included) in display order, so it works on top of whatever the filter shows.
+function getSearchableText(task) {
+  return [
+    task.id,
+    task.title,
+    task.description,
+    task.files,
+    ...(task.steps || []).map(step => step.text),
+    ...(task.ac || []).map(item => item.text),
+    ...(task.verify || []).map(item => item.text)
+  ].filter(Boolean).join('\n').toLowerCase()
+}
+
+function openSearch() {
+  if (currentView !== 'board') switchView('board')
+  const input = document.getElementById('search-input')
+  document.getElementById('search-bar').style.display = 'flex'
+  input.focus()
+  input.select()
+}
+
+function closeSearch() {
+  document.getElementById('search-bar').style.display = 'none'
+  searchQuery = ''
+  applySearch()
+}
+
+function setSearchQuery(query) {
+  searchQuery = query.trim().toLowerCase()
+  searchIndex = -1
+  applySearch()
+  if (searchMatchIds.length > 0) stepSearch(1)
+}
+
+// Re-applied after every render; keeps the current match if it still matches
+function applySearch() {
+  const currentId = searchMatchIds[searchIndex]
+  document.querySelectorAll('mark.search-highlight').forEach(mark => {
+    const parent = mark.parentNode
+    mark.replaceWith(mark.textContent)
+    parent.normalize()
+  })
+  document.querySelectorAll('.search-match, .search-current').forEach(card => card.classList.remove('search-match', 'search-current'))
+  searchMatchIds = []
+
+  if (searchQuery) {
+    document.querySelectorAll('#kanban-board .task-item, #kanban-board .archive-task-item').forEach(card => {
+      const found = findTaskOnBoard(card.dataset.taskId)
+      if (!found || !getSearchableText(found.task).includes(searchQuery)) return
+
+      card.classList.add('search-match')
+      searchMatchIds.push(card.dataset.taskId)
+      highlightSearchText(card)
+    })
+    highlightSearchText(document.getElementById('task-detail-modal'))
+  }
+
+  searchIndex = searchMatchIds.indexOf(currentId)
+  updateSearchStatus()
+}
+
+function stepSearch(direction) {
+  if (searchMatchIds.length === 0) return
+  searchIndex = (searchIndex + direction + searchMatchIds.length) % searchMatchIds.length
+  updateSearchStatus()
+
+  const card = getSearchCard(searchMatchIds[searchIndex])
+  if (!card) return
+  const archive = card.closest('.unified-archive')
+  if (archive && archive.classList.contains('collapsed')) {
+    toggleUnifiedArchive()
+  }
+  card.scrollIntoView({ behavior: 'smooth', block: 'center', inline: 'center' })
+}
+
+function getSearchCard(taskId) {
+  return document.querySelector(`#kanban-board .task-item[data-task-id="${taskId}"], #kanban-board .archive-task-item[data-task-id="${taskId}"]`)
+}
+
+function updateSearchStatus() {
+  document.querySelectorAll('.search-current').forEach(card => card.classList.remove('search-current'))
+  const card = searchIndex >= 0 && getSearchCard(searchMatchIds[searchIndex])
+  if (card) card.classList.add('search-current')
+
+  const status = document.getElementById('search-count')
+  status.textContent = !searchQuery
+    ? ''
+    : (searchMatchIds.length === 0 ? 'No results' : `${searchIndex + 1 || '?'} of ${searchMatchIds.length}`)
+  status.classList.toggle('no-results', !!searchQuery && searchMatchIds.length === 0)
+}
+
+// Wraps each occurrence of the query in the element's text with <mark>
+function highlightSearchText(root) {
+  if (!root || !searchQuery) return
+
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+    acceptNode: node => node.parentElement.closest('mark, button, script, style, textarea')
+      ? NodeFilter.FILTER_REJECT
+      : NodeFilter.FILTER_ACCEPT
+  })
+  const nodes = []
+  while (walker.nextNode()) nodes.push(walker.currentNode)
+
+  nodes.forEach(node => {
+    const text = node.textContent
+    const lower = text.toLowerCase()
+    let index = lower.indexOf(searchQuery)
+    if (index === -1) return
+
+    const fragment = document.createDocumentFragment()
+    let last = 0
+    while (index !== -1) {
+      fragment.appendChild(document.createTextNode(text.slice(last, index)))
+      const mark = document.createElement('mark')
+      mark.className = 'search-highlight'
+      mark.textContent = text.slice(index, index + searchQuery.length)
+      fragment.appendChild(mark)
+      last = index + searchQuery.length
+      index = lower.indexOf(searchQuery, last)
+    }
+    fragment.appendChild(document.createTextNode(text.slice(last)))
+    node.replaceWith(fragment)
+  })
+}
+
+// ===== Time tracking =====
+// The timer itself runs in the extension host (and its status bar item); the board only shows
+// which task it is running for and ticks the elapsed time locally.
+function formatDuration(minutes) {
+  const hours = Math.floor(minutes / 60)
+  const rest = minutes % 60
+  if (hours === 0) return `${rest}m`
+  return rest === 0 ? `${hours}h` : `${hours}h ${rest}m`
+}
+
+function formatElapsed(milliseconds) {
+  const seconds = Math.max(0, Math.floor(milliseconds / 1000))
+  const pad = value => String(value).padStart(2, '0')
+  return `${Math.floor(seconds / 3600)}:${pad(Math.floor(seconds / 60) % 60)}:${pad(seconds % 60)}`
+}
+
+// A task's own entries plus its subtasks'
+function getLoggedMinutes(task) {
+  const own = (task.logged || []).reduce((sum, entry) => sum + entry.minutes, 0)
+  return own + (task.subtasks || []).reduce((sum, subtask) => sum + getLoggedMinutes(subtask), 0)
+}
+
+function isTimerRunning(taskId) {
+  return !!runningTimer && runningTimer.taskId === taskId
+}
+
+function toggleTimer(taskId, columnId) {
+  if (isTimerRunning(taskId)) {
+    vscode.postMessage({ type: 'stopTimer' })
+  } else {
+    vscode.postMessage({ type: 'startTimer', taskId, columnId })
+  }
+}
+
+function createTimerElement(task, columnId) {
+  const minutes = getLoggedMinutes(task)
+  const running = isTimerRunning(task.id)
+  const logged = minutes > 0 ? `<span class="task-time" title="Time logged">${formatDuration(minutes)}</span>` : ''
+
+  return `
+    ${logged}
+    <button class="task-timer-btn${running ? ' running' : ''}"
+            onclick="event.stopPropagation(); toggleTimer('${task.id}', '${columnId}')"
+            title="${running ? 'Stop timer and log the time' : 'Start timer'}">${running ? `■ <span class="timer-elapsed">${formatElapsed(Date.now() - runningTimer.startedAt)}</span>` : '▶'}</button>
+  `
+}
+
+function renderDetailTime(task, columnId) {
+  const running = isTimerRunning(task.id)
+  const minutes = getLoggedMinutes(task)
+  const entries = (task.logged || []).map(entry => `
+    <div class="detail-time-entry">
+      <span>${entry.start}</span>
+      <span>${formatDuration(entry.minutes)}</span>
+    </div>
+  `).join('')
+  const subtaskNote = task.subtasks && task.subtasks.length && minutes > 0 ? ' (with subtasks)' : ''
+
+  return `<div class="detail-section">
+    <div class="detail-section-header">Time: <span class="detail-progress">${formatDuration(minutes)}${subtaskNote}</span>
+      <button class="detail-timer-btn${running ? ' running' : ''}" onclick="toggleTimer('${task.id}', '${columnId}')">
+        ${running ? `■ Stop <span class="timer-elapsed">${formatElapsed(Date.now() - runningTimer.startedAt)}</span>` : '▶ Start timer'}
+      </button>
+    </div>
+    ${entries}
+  </div>`
+}
+
+function updateTimerTicker() {
+  clearInterval(timerTicker)
+  timerTicker = runningTimer
+    ? setInterval(() => {
+      const text = formatElapsed(Date.now() - runningTimer.startedAt)
+      document.querySelectorAll('.timer-elapsed').forEach(element => { element.textContent = text })
+    }, 1000)
+    : null
+}
+
+// ===== Calendar view =====
+// Dates are handled as local YYYY-MM-DD keys; `new Date('2025-03-01')` would be UTC midnight
+function toDateKey(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0')
+  const day = String(date.getDate()).padStart(2, '0')
+  return `${date.getFullYear()}-${month}-${day}`
+}
+
+function parseDateKey(key) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(key || '')
+  return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null
+}
+
+function addDays(date, days) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days)
+}
+
+// Weeks start on Monday
+function startOfWeek(date) {
+  return addDays(date, -((date.getDay() + 6) % 7))
+}
+
+function getCalendarDays() {
+  if (calendarMode === 'week') {
+    const start = startOfWeek(calendarDate)
+    return Array.from({ length: 7 }, (_, i) => addDays(start, i))
+  }
+
+  const firstOfMonth = new Date(calendarDate.getFullYear(), calendarDate.getMonth(), 1)
+  const lastOfMonth = new Date(calendarDate.getFullYear(), calendarDate.getMonth() + 1, 0)
+  const days = []
+  for (let day = startOfWeek(firstOfMonth); day <= lastOfMonth || days.length % 7 !== 0; day = addDays(day, 1)) {
+    days.push(day)
+  }
+  return days
+}
+
+// Tasks of the visible (non-archived) columns that pass the current filter
+function getCalendarTasks() {
+  return currentBoard.columns
+    .filter(column => !column.archived && !hiddenColumns.has(column.id))
+    .flatMap(column => filterTasks(column.tasks, column).map(task => ({ task, column })))
+}
+
+function createCalendarTaskElement(task, column) {
+  const dueDate = parseDateKey(task.dueDate)
+  const isOverdue = dueDate && dueDate < parseDateKey(toDateKey(new Date())) && !doneColumnIds.has(column.id)
+  const classes = ['calendar-task']
+  if (task.priority) classes.push(`calendar-priority-${task.priority}`)
+  if (doneColumnIds.has(column.id)) classes.push('done')
+  if (isOverdue) classes.push('overdue')
+
+  return `<div class="${classes.join(' ')}" draggable="true" data-task-id="${task.id}" data-column-id="${column.id}"
+               title="${task.id}: ${task.title.replace(/"/g, '&quot;')} (${column.title})">
+      <span class="column-status-dot ${getColumnDotColor(column.title)}"></span>
+      <span class="calendar-task-title">${task.title}</span>
+    </div>`
+}
+
+function renderCalendar() {
+  const container = document.getElementById('calendar-view')
+  if (!currentBoard) return
+
+  const entries = getCalendarTasks()
+  const days = getCalendarDays()
+  const todayKey = toDateKey(new Date())
+  const byDate = {}
+  entries.forEach(entry => {
+    const date = parseDateKey(entry.task.dueDate)
+    if (date) {
+      const key = toDateKey(date)
+      ;(byDate[key] = byDate[key] || []).push(entry)
+    }
+  })
+  const undated = entries.filter(entry => !parseDateKey(entry.task.dueDate))
+
+  const title = calendarMode === 'month'
+    ? calendarDate.toLocaleDateString(undefined, { month: 'long', year: 'numeric' })
+    : `${days[0].toLocaleDateString(undefined, { month: 'short', day: 'numeric' })} – ${days[6].toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' })}`
+  const weekdays = days.slice(0, 7).map(day => day.toLocaleDateString(undefined, { weekday: 'short' }))
+
+  container.innerHTML = `
+    <div class="calendar-toolbar">
+      <button class="clear-filters-btn" onclick="switchView('board')">← Board</button>
+      <button class="clear-filters-btn" onclick="shiftCalendar(-1)" title="Previous">‹</button>
+      <button class="clear-filters-btn" onclick="shiftCalendar(0)">Today</button>
+      <button class="clear-filters-btn" onclick="shiftCalendar(1)" title="Next">›</button>
+      <span class="calendar-title">${title}</span>
+      <div class="calendar-mode">
+        <button class="clear-filters-btn${calendarMode === 'month' ? ' active' : ''}" onclick="setCalendarMode('month')">Month</button>
+        <button class="clear-filters-btn${calendarMode === 'week' ? ' active' : ''}" onclick="setCalendarMode('week')">Week</button>
+      </div>
+    </div>
+    <div class="calendar-body">
+      <div class="calendar-grid calendar-${calendarMode}">
+        ${weekdays.map(name => `<div class="calendar-weekday">${name}</div>`).join('')}
+        ${days.map(day => {
+          const key = toDateKey(day)
+          const classes = ['calendar-day']
+          if (key === todayKey) classes.push('today')
+          if (calendarMode === 'month' && day.getMonth() !== calendarDate.getMonth()) classes.push('other-month')
+          return `<div class="${classes.join(' ')}" data-date="${key}">
+            <div class="calendar-day-number">${day.getDate()}</div>
+            ${(byDate[key] || []).map(({ task, column }) => createCalendarTaskElement(task, column)).join('')}
+          </div>`
+        }).join('')}
+      </div>
+      <div class="calendar-tray" data-date="">
+        <div class="calendar-tray-header">No due date <span class="task-count">${undated.length}</span></div>
+        <div class="calendar-tray-hint">Drag a task onto a day to schedule it, or here to clear its due date.</div>
+        ${undated.map(({ task, column }) => createCalendarTaskElement(task, column)).join('')}
+      </div>
+    </div>
+  `
+
+  setupCalendarInteractions(container)
+}
+
+function shiftCalendar(direction) {
+  if (direction === 0) {
+    calendarDate = new Date()
+  } else if (calendarMode === 'week') {
+    calendarDate = addDays(calendarDate, 7 * direction)
+  } else {
+    calendarDate = new Date(calendarDate.getFullYear(), calendarDate.getMonth() + direction, 1)
+  }
+  renderCalendar()
+}
+
+function setCalendarMode(mode) {
+  calendarMode = mode
+  renderCalendar()
+}
+
+// Dropping a task on a day sets its due date through editTask; the tray clears it
+function setupCalendarInteractions(container) {
+  container.querySelectorAll('.calendar-task').forEach(element => {
+    element.addEventListener('click', () => openTaskDetailModal(element.dataset.taskId, element.dataset.columnId))
+    element.addEventListener('dragstart', e => {
+      e.dataTransfer.setData('application/x-calendar-task', JSON.stringify({
+        taskId: element.dataset.taskId,
+        columnId: element.dataset.columnId
+      }))
+      e.dataTransfer.effectAllowed = 'move'
+      element.classList.add('dragging')
+    })
+    element.addEventListener('dragend', () => element.classList.remove('dragging'))
+  })
+
+  container.querySelectorAll('.calendar-day, .calendar-tray').forEach(target => {
+    target.addEventListener('dragover', e => {
+      e.preventDefault()
+      target.classList.add('drag-over')
+    })
+    target.addEventListener('dragleave', e => {
+      if (!target.contains(e.relatedTarget)) {
+        target.classList.remove('drag-over')
+      }
+    })
+    target.addEventListener('drop', e => {
+      e.preventDefault()
+      target.classList.remove('drag-over')
+
+      const data = e.dataTransfer.getData('application/x-calendar-task')
+      if (!data) return
+      const { taskId, columnId } = JSON.parse(data)
+      const column = currentBoard.columns.find(col => col.id === columnId)
+      const task = column?.tasks.find(t => t.id === taskId)
+      const newDueDate = target.dataset.date || undefined
+      if (!task || (task.dueDate || undefined) === newDueDate) return
+
+      postTaskUpdate(taskId, columnId, Object.assign({}, task, { dueDate: newDueDate }))
+    })
+  })
+}
+
+// ===== Timeline view =====
+const TIMELINE_ZOOM = {
+  day: { dayWidth: 32, days: 42 },
+  week: { dayWidth: 10, days: 147 }
+}
+
+// A task spans startDate..dueDate; a task with only one of the two is drawn as a single day
+function getTaskSpan(task) {
+  const start = parseDateKey(task.startDate) || parseDateKey(task.dueDate)
+  const end = parseDateKey(task.dueDate) || start
+  if (!start) return null
+  return end < start ? { start: end, end: start } : { start, end }
+}
+
+function daysBetween(from, to) {
+  return Math.round((to - from) / 86400000)
+}
+
+function getTimelineGroups() {
+  const entries = getCalendarTasks().filter(entry => getTaskSpan(entry.task))
+
+  if (timelineGroupBy === 'column') {
+    return currentBoard.columns
+      .filter(column => !column.archived && !hiddenColumns.has(column.id))
+      .map(column => ({ label: column.title, entries: entries.filter(entry => entry.column === column) }))
+      .filter(group => group.entries.length > 0)
+  }
+
+  const byTag = {}
+  entries.forEach(entry => {
+    const tag = (entry.task.tags && entry.task.tags[0]) || ''
+    ;(byTag[tag] = byTag[tag] || []).push(entry)
+  })
+  return Object.keys(byTag)
+    .sort((a, b) => (a === '') - (b === '') || a.localeCompare(b))
+    .map(tag => ({ label: tag || 'No tag', entries: byTag[tag] }))
+}
+
+function createTimelineBar(task, column, rangeStart) {
+  const span = getTaskSpan(task)
+  const { dayWidth } = TIMELINE_ZOOM[timelineZoom]
+  const length = daysBetween(span.start, span.end) + 1
+  const classes = ['timeline-bar']
+  if (task.priority) classes.push(`calendar-priority-${task.priority}`)
+  if (doneColumnIds.has(column.id)) classes.push('done')
+  if (span.end < parseDateKey(toDateKey(new Date())) && !doneColumnIds.has(column.id)) classes.push('overdue')
+
+  const dates = task.startDate && task.dueDate ? `${task.startDate} → ${task.dueDate}` : (task.dueDate ? `Due ${task.dueDate}` : `Starts ${task.startDate}`)
+  return `<div class="${classes.join(' ')}" data-task-id="${task.id}" data-column-id="${column.id}" data-length="${length}"
+               style="left: ${daysBetween(rangeStart, span.start) * dayWidth}px; width: ${length * dayWidth}px;"
+               title="${task.id}: ${task.title.replace(/"/g, '&quot;')} (${dates})">
+      <span class="timeline-handle start" data-handle="start"></span>
+      <span class="column-status-dot ${getColumnDotColor(column.title)}"></span>
+      <span class="timeline-bar-title">${task.title}</span>
+      <span class="timeline-handle end" data-handle="end"></span>
+    </div>`
+}
+
+function renderTimeline() {
+  const container = document.getElementById('timeline-view')
+  if (!currentBoard) return
+
+  const { dayWidth, days: dayCount } = TIMELINE_ZOOM[timelineZoom]
+  const today = parseDateKey(toDateKey(new Date()))
+  if (!timelineStart) {
+    timelineStart = addDays(startOfWeek(today), -7)
+  }
+  const days = Array.from({ length: dayCount }, (_, i) => addDays(timelineStart, i))
+  const groups = getTimelineGroups()
+  const undatedCount = getCalendarTasks().filter(entry => !getTaskSpan(entry.task)).length
+
+  const scale = days.map(day => {
+    const isMonthStart = day.getDate() === 1
+    const label = timelineZoom === 'day' || day.getDay() === 1 ? day.getDate() : ''
+    const month = isMonthStart || day === days[0] ? day.toLocaleDateString(undefined, { month: 'short', year: 'numeric' }) : ''
+    const classes = ['timeline-day']
+    if (day.getDay() === 0 || day.getDay() === 6) classes.push('weekend')
+    if (isMonthStart) classes.push('month-start')
+    return `<div class="${classes.join(' ')}" title="${toDateKey(day)}">
+      <span class="timeline-month">${month}</span>
+      <span class="timeline-day-number">${label}</span>
+    </div>`
+  }).join('')
+
+  const rows = groups.map(group => `
+    <div class="timeline-group">${group.label} <span class="task-count">${group.entries.length}</span></div>
+    ${group.entries.map(({ task, column }) => `
+      <div class="timeline-row">
+        <div class="timeline-label" data-task-id="${task.id}" data-column-id="${column.id}" title="${task.title.replace(/"/g, '&quot;')}">
+          <span class="timeline-task-id">${task.id}</span> ${task.title}
+        </div>
+        <div class="timeline-track">${createTimelineBar(task, column, timelineStart)}</div>
+      </div>`).join('')}
+  `).join('')
+
+  const todayOffset = daysBetween(timelineStart, today)
+  const todayMarker = todayOffset >= 0 && todayOffset < dayCount
+    ? `<div class="timeline-today" style="left: calc(var(--timeline-label-width) + ${(todayOffset + 0.5) * dayWidth}px);" title="Today"></div>`
+    : ''
+
+  container.innerHTML = `
+    <div class="calendar-toolbar">
+      <button class="clear-filters-btn" onclick="switchView('board')">← Board</button>
+      <button class="clear-filters-btn" onclick="shiftTimeline(-1)" title="Earlier">‹</button>
+      <button class="clear-filters-btn" onclick="shiftTimeline(0)">Today</button>
+      <button class="clear-filters-btn" onclick="shiftTimeline(1)" title="Later">›</button>
+      <span class="filter-label">Group by:</span>
+      <select class="sort-select" onchange="setTimelineGroupBy(this.value)">
+        <option value="column"${timelineGroupBy === 'column' ? ' selected' : ''}>Column</option>
+        <option value="tag"${timelineGroupBy === 'tag' ? ' selected' : ''}>Tag</option>
+      </select>
+      ${undatedCount ? `<span class="calendar-tray-hint">${undatedCount} task${undatedCount === 1 ? '' : 's'} without dates hidden</span>` : ''}
+      <div class="calendar-mode">
+        <button class="clear-filters-btn${timelineZoom === 'day' ? ' active' : ''}" onclick="setTimelineZoom('day')">Days</button>
+        <button class="clear-filters-btn${timelineZoom === 'week' ? ' active' : ''}" onclick="setTimelineZoom('week')">Weeks</button>
+      </div>
+    </div>
+    <div class="timeline-scroll">
+      <div class="timeline-chart" style="--day-width: ${dayWidth}px; width: calc(var(--timeline-label-width) + ${dayCount * dayWidth}px);">
+        <div class="timeline-scale">
+          <div class="timeline-label timeline-corner"></div>
+          ${scale}
+        </div>
+        <div class="timeline-rows">
+          ${rows || '<div class="timeline-empty">No tasks have a start or due date in this view.</div>'}
+          ${todayMarker}
+          <svg class="timeline-arrows"></svg>
+        </div>
+      </div>
+    </div>
+  `
+
+  drawDependencyArrows(container)
+  setupTimelineInteractions(container)
+}
+
+function shiftTimeline(direction) {
+  const { days } = TIMELINE_ZOOM[timelineZoom]
+  timelineStart = direction === 0 ? null : addDays(timelineStart, Math.round(days / 2) * direction)
+  renderTimeline()
+}
+
+function setTimelineZoom(zoom) {
+  timelineZoom = zoom
+  renderTimeline()
+}
+
+function setTimelineGroupBy(groupBy) {
+  timelineGroupBy = groupBy
+  renderTimeline()
+}
+
+// Arrows run from the end of each blocker's bar to the start of the task it blocks
+function drawDependencyArrows(container) {
+  const rowsElement = container.querySelector('.timeline-rows')
+  const svg = container.querySelector('.timeline-arrows')
+  const origin = rowsElement.getBoundingClientRect()
+  const bars = {}
+  container.querySelectorAll('.timeline-bar').forEach(bar => {
+    const rect = bar.getBoundingClientRect()
+    const track = bar.parentElement.getBoundingClientRect()
+    // Bars scrolled out of the visible range have no end to attach an arrow to
+    if (rect.right > track.left && rect.left < track.right) {
+      bars[bar.dataset.taskId] = rect
+    }
+  })
+
+  const paths = []
+  Object.keys(bars).forEach(taskId => {
+    const found = findTaskOnBoard(taskId)
+    ;(found?.task.blockedBy || []).forEach(blockerId => {
+      const from = bars[blockerId]
+      const to = bars[taskId]
+      if (!from) return
+
+      const x1 = from.right - origin.left
+      const y1 = from.top + from.height / 2 - origin.top
+      const x2 = to.left - origin.left
+      const y2 = to.top + to.height / 2 - origin.top
+      const bend = Math.max(12, Math.abs(x2 - x1) / 2)
+      const conflict = to.left < from.right ? ' conflict' : ''
+      paths.push(`<path class="timeline-arrow${conflict}" d="M ${x1} ${y1} C ${x1 + bend} ${y1}, ${x2 - bend} ${y2}, ${x2} ${y2}" marker-end="url(#timeline-arrowhead)"/>`)
+    })
+  })
+
+  svg.setAttribute('width', rowsElement.scrollWidth)
+  svg.setAttribute('height', rowsElement.scrollHeight)
+  svg.innerHTML = `<defs>
+      <marker id="timeline-arrowhead" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse">
+        <path d="M 0 0 L 10 5 L 0 10 z"/>
+      </marker>
+    </defs>${paths.join('')}`
+}
+
+// Dragging a bar moves both dates; dragging either end resizes it. A click opens the task.
+function setupTimelineInteractions(container) {
+  const { dayWidth } = TIMELINE_ZOOM[timelineZoom]
 
-    columnElement.addEventListener('dragover', e => {
+  container.querySelectorAll('.timeline-label').forEach(label => {
+    if (label.dataset.taskId) {
+      label.addEventListener('click', () => openTaskDetailModal(label.dataset.taskId, label.dataset.columnId))
+    }
+  })
+
+  container.querySelectorAll('.timeline-bar').forEach(bar => {
+    bar.addEventListener('mousedown', e => {
+      if (e.button !== 0) return
       e.preventDefault()
-      columnElement.classList.add('drag-over')
 
-      const draggingElement = document.querySelector('.task-item.dragging')
-      if (draggingElement) {
-        const afterElement = getDragAfterTaskElement(tasksContainer, e.clientY)
+      const mode = e.target.dataset.handle || 'move'
+      const length = Number(bar.dataset.length)
+      const startX = e.clientX
+      const originalLeft = bar.offsetLeft
+      const originalWidth = bar.offsetWidth
+      let delta = 0
+
+      const onMove = moveEvent => {
+        delta = Math.round((moveEvent.clientX - startX) / dayWidth)
+        if (mode === 'start') {
+          delta = Math.min(delta, length - 1)
+          bar.style.left = `${originalLeft + delta * dayWidth}px`
+          bar.style.width = `${originalWidth - delta * dayWidth}px`
+        } else if (mode === 'end') {
+          delta = Math.max(delta, 1 - length)
+          bar.style.width = `${originalWidth + delta * dayWidth}px`
+        } else {
+          bar.style.left = `${originalLeft + delta * dayWidth}px`
+        }
+        bar.classList.add('dragging')
+      }
 
-        tasksContainer.querySelectorAll('.task-item').forEach(task => {
-          task.classList.remove('drag-insert-before', 'drag-insert-after')
-        })
+      const onUp = () => {
+        document.removeEventListener('mousemove', onMove)
+        document.removeEventListener('mouseup', onUp)
+        bar.classList.remove('dragging')
 
-        if (afterElement == null) {
-          const lastTask = tasksContainer.querySelector('.task-item:last-child')
-          if (lastTask && lastTask !== draggingElement) {
-            lastTask.classList.add('drag-insert-after')
-          }
-        } else if (afterElement !== draggingElement) {
-          afterElement.classList.add('drag-insert-before')
+        if (delta === 0) {
+          if (mode === 'move') openTaskDetailModal(bar.dataset.taskId, bar.dataset.columnId)
+          return
         }
+        rescheduleTask(bar.dataset.taskId, bar.dataset.columnId, mode, delta)
       }
-    })
 
-    columnElement.addEventListener('dragleave', e => {
-      if (!columnElement.contains(e.relatedTarget)) {
-        columnElement.classList.remove('drag-over')
-        tasksContainer.querySelectorAll('.task-item').forEach(task => {
-          task.classList.remove('drag-insert-before', 'drag-insert-after')
-        })
-      }
+      document.addEventListener('mousemove', onMove)
+      document.addEventListener('mouseup', onUp)
     })
+  })
+}
 
-    columnElement.addEventListener('drop', e => {
-      e.preventDefault()
-      columnElement.classList.remove('drag-over')
+// Moving shifts whichever dates the task has; resizing writes both so the span is explicit
+function rescheduleTask(taskId, columnId, mode, delta) {
+  const column = currentBoard.columns.find(col => col.id === columnId)
+  const task = column?.tasks.find(t => t.id === taskId)
+  const span = task && getTaskSpan(task)
+  if (!span) return
+
+  const changes = {}
+  if (mode === 'move') {
+    if (parseDateKey(task.startDate)) changes.startDate = toDateKey(addDays(parseDateKey(task.startDate), delta))
+    if (parseDateKey(task.dueDate)) changes.dueDate = toDateKey(addDays(parseDateKey(task.dueDate), delta))
+  } else if (mode === 'start') {
+    changes.startDate = toDateKey(addDays(span.start, delta))
+    changes.dueDate = toDateKey(span.end)
+  } else {
+    changes.startDate = toDateKey(span.start)
+    changes.dueDate = toDateKey(addDays(span.end, delta))
+  }
 
-      tasksContainer.querySelectorAll('.task-item').forEach(task => {
-        task.classList.remove('drag-insert-before', 'drag-insert-after')
-      })
+  postTaskUpdate(taskId, columnId, Object.assign({}, task, changes))
+}
 
-      const taskId = e.dataTransfer.getData('text/plain')
-      const fromColumnId = e.dataTransfer.getData('application/column-id')
+// Moving a card into a column that is already at its WIP limit either warns or is refused,
+// depending on markdown-kanban.wipLimitMode. Returns false when the drop must not happen.
+function checkWipLimitOnDrop(fromColumnId, toColumnId, movingCount = 1) {
+  if (fromColumnId === toColumnId || !currentBoard || movingCount === 0) return true
 
-      if (taskId && fromColumnId) {
-        const dropIndex = calculateDropIndex(tasksContainer, e.clientY, fromColumnId, columnId, taskId)
+  const column = currentBoard.columns.find(col => col.id === toColumnId)
+  if (!column || !column.wipLimit || column.tasks.length + movingCount <= column.wipLimit) return true
 
-        vscode.postMessage({
-          type: 'moveTask',
-          taskId: taskId,
-          fromColumnId: fromColumnId,
-          toColumnId: columnId,
-          newIndex: dropIndex
-        })
-      }
+  const count = column.tasks.length + movingCount
+  if (wipLimitMode === 'block') {
+    vscode.postMessage({
+      type: 'showMessage',
+      level: 'error',
+      text: `"${column.title}" is at its WIP limit of ${column.wipLimit}. Finish or move a task out first.`
     })
+    return false
+  }
 
-    // Make entire task card draggable (not just the handle)
-    columnElement.querySelectorAll('.task-item').forEach(taskItem => {
-      setupTaskCardDrag(taskItem)
-    })
+  vscode.postMessage({
+    type: 'showMessage',
+    level: 'warning',
+    text: `"${column.title}" now has ${count} tasks, over its WIP limit of ${column.wipLimit}.`
   })
+  return true
 }
 
-function calculateDropIndex(tasksContainer, clientY, fromColumnId, toColumnId, taskId) {
-  const tasks = Array.from(tasksContainer.children)
-  let dropIndex = tasks.length
+// The card a dropped task goes next to, by ID. Filters and swimlanes show only some of a
+// column's tasks, so a position among the cards on screen isn't a position in the column.
+function getDropTarget(tasksContainer, clientY) {
+  const before = getDragAfterTaskElement(tasksContainer, clientY)
+  if (before) return { taskId: before.dataset.taskId, after: false }
 
-  for (let i = 0; i < tasks.length; i++) {
-    const taskElement = tasks[i]
-    const rect = taskElement.getBoundingClientRect()
-    const taskCenter = rect.top + rect.height / 2
-
-    if (clientY < taskCenter) {
-      dropIndex = i
-      break
-    }
-  }
-
-  if (fromColumnId === toColumnId) {
-    const draggedTaskElement = tasksContainer.querySelector('[data-task-id="' + taskId + '"]')
-    if (draggedTaskElement) {
-      const currentIndex = Array.from(tasks).indexOf(draggedTaskElement)
-      if (dropIndex > currentIndex) {
-        dropIndex--
-      }
-    }
-  }
-
-  return dropIndex
+  const cards = tasksContainer.querySelectorAll('.task-item:not(.dragging)')
+  const last = cards[cards.length - 1]
+  return last ? { taskId: last.dataset.taskId, after: true } : undefined
 }
 
 // Setup task expansion event delegation
@@ -858,6 +2498,10 @@ function setupTaskCardDrag(taskItem) {
     }
     e.dataTransfer.setData('text/plain', taskItem.dataset.taskId)
     e.dataTransfer.setData('application/column-id', taskItem.dataset.columnId)
+    const laneCell = taskItem.closest('.lane-cell')
+    if (laneCell) {
+      e.dataTransfer.setData('application/lane-key', laneCell.dataset.laneKey)
+    }
     e.dataTransfer.effectAllowed = 'move'
 
     const dragImage = createDragImage(taskItem, e.offsetX, e.offsetY)
@@ -981,7 +2625,7 @@ function createUnifiedArchiveColumn(archivedColumns) {
   
   // 统计所有归档任务的数量
   const totalArchivedTasks = archivedColumns.reduce((total, column) => {
-    return total + filterTasks(column.tasks).length
+    return total + filterTasks(column.tasks, column).length
   }, 0)
   
   // 默认收起状态
@@ -1012,7 +2656,7 @@ function createArchiveContent(archivedColumns) {
   let content = ''
   
   archivedColumns.forEach(column => {
-    const filteredTasks = filterTasks(column.tasks)
+    const filteredTasks = filterTasks(column.tasks, column)
     const sortedTasks = sortTasks(filteredTasks)
     
     // 显示所有归档列，不管是否有任务
@@ -1023,6 +2667,9 @@ function createArchiveContent(archivedColumns) {
             <h4 class="archive-section-title">${column.title}</h4>
             <span class="archive-section-count">${sortedTasks.length}</span>
           </div>
+          <button class="unarchive-btn" onclick="deleteColumn('${column.id}')" title="Delete">
+            🗑️
+          </button>
           <button class="unarchive-btn" onclick="unarchiveColumn('${column.id}')" title="Unarchive">
             📂
           </button>
@@ -1109,7 +2756,7 @@ function openTaskModal (columnId, taskId = null) {
 
 function populateTaskForm(columnId, taskId) {
   const column = currentBoard.columns.find(col => col.id === columnId)
-  const task = column?.tasks.find(t => t.id === taskId)
+  const task = column && findTaskInColumn(column, taskId)?.task
 
   if (!task) return
 
@@ -1117,19 +2764,24 @@ function populateTaskForm(columnId, taskId) {
   document.getElementById('task-description').value = task.description || ''
   document.getElementById('task-priority').value = task.priority || ''
   document.getElementById('task-workload').value = task.workload || ''
+  document.getElementById('task-start-date').value = task.startDate || ''
   document.getElementById('task-due-date').value = task.dueDate || ''
+  document.getElementById('task-repeat').value = task.repeat || ''
   document.getElementById('task-default-expanded').checked = task.defaultExpanded || false
 
   clearAndPopulateTags(task.tags)
+  clearAndPopulateAssignees(task.assignees)
   clearAndPopulateSteps(task.steps)
   clearAndPopulateAc(task.ac)
   clearAndPopulateVerify(task.verify)
   document.getElementById('task-files').value = task.files || ''
+  document.getElementById('task-blocked-by').value = (task.blockedBy || []).join(', ')
 }
 
 function clearTaskForm(form) {
   form.reset()
   clearAndPopulateTags([])
+  clearAndPopulateAssignees([])
   clearAndPopulateSteps([])
   clearAndPopulateAc([])
   clearAndPopulateVerify([])
@@ -1179,7 +2831,7 @@ function openTaskDetailModal (taskId, columnId) {
 
   const column = currentBoard.columns.find(col => col.id === columnId)
   if (!column) return
-  const task = column.tasks.find(t => t.id === taskId)
+  const task = findTaskInColumn(column, taskId)?.task
   if (!task) return
 
   currentDetailTask = taskId
@@ -1190,6 +2842,8 @@ function openTaskDetailModal (taskId, columnId) {
   const modal = document.getElementById('task-detail-modal')
   document.getElementById('detail-modal-title').innerHTML = (taskDisplayId ? `<span class="task-number" data-copy-id="${taskDisplayId}" title="Click to copy">${taskDisplayId}</span> ` : '') + task.title
   document.getElementById('task-detail-body').innerHTML = renderTaskDetailContent(task, columnId)
+  resolveTaskRefs()
+  highlightSearchText(modal)
 
   document.getElementById('detail-source-btn').onclick = () => {
     closeTaskDetailModal()
@@ -1221,8 +2875,16 @@ function renderTaskDetailContent (task, columnId) {
 
   let html = ''
 
-  // Meta row (priority, deadline, workload)
-  if (task.priority || deadlineInfo || task.workload) {
+  const column = currentBoard.columns.find(col => col.id === columnId)
+  const parent = column && findTaskInColumn(column, task.id)?.parent
+  if (parent) {
+    html += `<div class="detail-parent-row">Subtask of
+      <span class="detail-parent-link" onclick="openTaskDetailModal('${parent.id}', '${columnId}')"><span class="task-number">${parent.id}</span> ${parent.title}</span>
+    </div>`
+  }
+
+  // Meta row (priority, deadline, repeat, workload)
+  if (task.priority || deadlineInfo || task.repeat || task.workload) {
     html += '<div class="detail-meta-row">'
     if (task.priority) {
       html += `<span class="task-priority-badge ${priorityClass}">${getPriorityText(task.priority)} Priority</span>`
@@ -1230,12 +2892,20 @@ function renderTaskDetailContent (task, columnId) {
     if (deadlineInfo) {
       html += `<span class="task-deadline deadline-${deadlineInfo.status}">${deadlineInfo.text}</span>`
     }
+    if (task.repeat) {
+      html += `<span class="task-repeat" title="Repeats when moved to a done column">🔁 ${task.repeat}</span>`
+    }
     if (task.workload) {
       html += `<span class="task-workload workload-${task.workload.toLowerCase()}">${task.workload}</span>`
     }
     html += '</div>'
   }
 
+  // Assignees
+  if (task.assignees && task.assignees.length > 0) {
+    html += `<div class="detail-assignees-row">${createAssigneeChips(task.assignees, true)}</div>`
+  }
+
   // Tags
   if (task.tags && task.tags.length > 0) {
     html += `<div class="detail-tags-row">${task.tags.map(tag => {
@@ -1273,7 +2943,37 @@ function renderTaskDetailContent (task, columnId) {
   if (task.steps && task.steps.length > 0) {
     html += `<div class="detail-section">
       <div class="detail-section-header">Steps: <span class="detail-progress">${stepsProgress.completed}/${stepsProgress.total}</span></div>
-      ${renderDetailSteps(task, columnId)}
+      ${renderDetailSteps(task, columnId, !parent)}
+    </div>`
+  }
+
+  // Subtasks (one level deep, so subtasks can't have their own)
+  if (!parent) {
+    const subtaskProgress = getStepsProgress(task.subtasks)
+    html += `<div class="detail-section">
+      <div class="detail-section-header">Subtasks:${subtaskProgress.total > 0 ? ` <span class="detail-progress">${subtaskProgress.completed}/${subtaskProgress.total}</span>` : ''}
+        <button class="detail-add-subtask-btn" onclick="addSubtask('${task.id}', '${columnId}')" title="Add subtask">+ Add</button>
+      </div>
+      ${renderDetailSubtasks(task, columnId)}
+    </div>`
+  }
+
+  // Dependencies
+  const blockers = (task.blockedBy || []).map(findTaskOnBoard).filter(Boolean)
+  const missingBlockers = (task.blockedBy || []).filter(id => !findTaskOnBoard(id))
+  if (blockers.length > 0 || missingBlockers.length > 0) {
+    html += `<div class="detail-section">
+      <div class="detail-section-header">Blocked by</div>
+      ${renderDependencyList(blockers)}
+      ${missingBlockers.map(id => `<div class="detail-dependency missing"><span class="task-number">${id}</span><span class="detail-dependency-title">Not on this board</span></div>`).join('')}
+    </div>`
+  }
+
+  const dependents = getDependents(task)
+  if (dependents.length > 0) {
+    html += `<div class="detail-section">
+      <div class="detail-section-header">Blocks</div>
+      ${renderDependencyList(dependents)}
     </div>`
   }
 
@@ -1285,6 +2985,8 @@ function renderTaskDetailContent (task, columnId) {
     </div>`
   }
 
+  html += renderDetailTime(task, columnId)
+
   return html
 }
 
@@ -1302,17 +3004,37 @@ function renderDetailChecklist (task, columnId, listKey) {
   `).join('')
 }
 
-function renderDetailSteps (task, columnId) {
+function renderDetailSteps (task, columnId, canPromote) {
   return task.steps.map((step, index) => `
     <div class="detail-checklist-item">
       <input type="checkbox"
              ${step.completed ? 'checked' : ''}
              onchange="updateTaskStep('${task.id}', '${columnId}', ${index}, this.checked)">
       <span class="detail-checklist-text ${step.completed ? 'completed' : ''}">${step.text}</span>
+      ${canPromote ? `<button class="detail-promote-btn" onclick="promoteStep('${task.id}', '${columnId}', ${index})" title="Promote to subtask">↳</button>` : ''}
     </div>
   `).join('')
 }
 
+function renderDetailSubtasks (task, columnId) {
+  return (task.subtasks || []).map(subtask => {
+    const deadlineInfo = getDeadlineInfo(subtask.dueDate)
+    return `
+      <div class="detail-checklist-item detail-subtask">
+        <input type="checkbox"
+               ${subtask.completed ? 'checked' : ''}
+               onchange="toggleSubtask('${subtask.id}', '${columnId}', this.checked)">
+        <span class="detail-subtask-link" onclick="openTaskDetailModal('${subtask.id}', '${columnId}')">
+          <span class="task-number">${subtask.id}</span>
+          <span class="detail-checklist-text ${subtask.completed ? 'completed' : ''}">${subtask.title}</span>
+        </span>
+        ${deadlineInfo ? `<span class="task-deadline deadline-${deadlineInfo.status}">${deadlineInfo.text}</span>` : ''}
+        ${(subtask.tags || []).map(tag => `<span class="task-tag">${tag}</span>`).join('')}
+      </div>
+    `
+  }).join('')
+}
+
 function closeTaskDetailModal () {
   document.getElementById('task-detail-modal').style.display = 'none'
   currentDetailTask = null
@@ -1327,21 +3049,13 @@ function refreshTaskDetailModal () {
   if (!currentDetailTask || !currentBoard) return
 
   // Search all columns for the task (it might have moved)
-  let task = null
-  let columnId = null
-  for (const col of currentBoard.columns) {
-    const found = col.tasks.find(t => t.id === currentDetailTask)
-    if (found) {
-      task = found
-      columnId = col.id
-      break
-    }
-  }
-
-  if (!task) {
+  const found = findTaskOnBoard(currentDetailTask)
+  if (!found) {
     closeTaskDetailModal()
     return
   }
+  const task = found.task
+  const columnId = found.column.id
 
   currentDetailColumn = columnId
   const taskDisplayId = getTaskDisplayId(task)
@@ -1349,6 +3063,8 @@ function refreshTaskDetailModal () {
   const modal = document.getElementById('task-detail-modal')
   document.getElementById('detail-modal-title').innerHTML = (taskDisplayId ? `<span class="task-number" data-copy-id="${taskDisplayId}" title="Click to copy">${taskDisplayId}</span> ` : '') + task.title
   document.getElementById('task-detail-body').innerHTML = renderTaskDetailContent(task, columnId)
+  resolveTaskRefs()
+  highlightSearchText(modal)
 
   document.getElementById('detail-source-btn').onclick = () => {
     closeTaskDetailModal()
@@ -1394,6 +3110,20 @@ function updateTaskStep (taskId, columnId, stepIndex, completed) {
   })
 }
 
+function addSubtask (taskId, columnId) {
+  showInputModal('Add Subtask', 'Subtask title:', 'Subtask title', title => {
+    vscode.postMessage({ type: 'addSubtask', taskId, columnId, title })
+  })
+}
+
+function toggleSubtask (taskId, columnId, completed) {
+  vscode.postMessage({ type: 'toggleSubtask', taskId, columnId, completed })
+}
+
+function promoteStep (taskId, columnId, stepIndex) {
+  vscode.postMessage({ type: 'promoteStep', taskId, columnId, stepIndex })
+}
+
 function updateChecklistItem (taskId, columnId, listKey, stepIndex, completed) {
   vscode.postMessage({
     type: 'updateChecklistItem',
@@ -1420,15 +3150,18 @@ function closeConfirmModal () {
   document.getElementById('confirm-modal').style.display = 'none'
 }
 
-function showInputModal (title, message, placeholder, onConfirm) {
+function showInputModal (title, message, placeholder, onConfirm, initialValue = '') {
   document.getElementById('input-modal-title').textContent = title
   document.getElementById('input-modal-message').textContent = message
   const inputField = document.getElementById('input-modal-field')
   inputField.placeholder = placeholder
-  inputField.value = ''
+  inputField.value = initialValue
   document.getElementById('input-modal').style.display = 'block'
 
-  setTimeout(() => inputField.focus(), 100)
+  setTimeout(() => {
+    inputField.focus()
+    inputField.select()
+  }, 100)
 
   const confirmAction = () => {
     const value = inputField.value.trim()
@@ -1485,6 +3218,71 @@ function addColumn () {
   )
 }
 
+function renameColumn(columnId) {
+  const column = currentBoard.columns.find(col => col.id === columnId)
+  if (!column) return
+
+  // The limit is edited along with the title, using the same "Title (3)" syntax as the heading
+  const currentTitle = column.wipLimit ? `${column.title} (${column.wipLimit})` : column.title
+  showInputModal(
+    'Rename Column',
+    'Please enter the new column title (add a number in brackets, e.g. "Doing (3)", to set a WIP limit):',
+    'Enter column title...',
+    title => {
+      if (title === currentTitle) return
+      vscode.postMessage({
+        type: 'renameColumn',
+        columnId: columnId,
+        title: title
+      })
+    },
+    currentTitle
+  )
+}
+
+// Empty columns just need a confirmation; otherwise the user picks where the tasks go
+function deleteColumn(columnId) {
+  const column = currentBoard.columns.find(col => col.id === columnId)
+  if (!column) return
+
+  if (column.tasks.length === 0) {
+    showConfirmModal(`Delete the column "${column.title}"?`, () => {
+      vscode.postMessage({ type: 'deleteColumn', columnId: columnId })
+    })
+    return
+  }
+
+  const taskCount = column.tasks.length === 1 ? '1 task' : `${column.tasks.length} tasks`
+  document.getElementById('delete-column-message').textContent =
+    `The column "${column.title}" contains ${taskCount}. Move them to another column or archive them before deleting it.`
+
+  const targetSelect = document.getElementById('delete-column-target')
+  const targets = currentBoard.columns.filter(col => col.id !== columnId && !col.archived)
+  targetSelect.innerHTML = ''
+  targets.forEach(col => {
+    const option = document.createElement('option')
+    option.value = col.id
+    option.textContent = col.title
+    targetSelect.appendChild(option)
+  })
+  document.getElementById('delete-column-move-group').style.display = targets.length > 0 ? '' : 'none'
+  document.getElementById('delete-column-move-btn').style.display = targets.length > 0 ? '' : 'none'
+
+  document.getElementById('delete-column-move-btn').onclick = () => {
+    closeDeleteColumnModal()
+    vscode.postMessage({ type: 'deleteColumn', columnId: columnId, moveTasksTo: targetSelect.value })
+  }
+  document.getElementById('delete-column-archive-btn').onclick = () => {
+    closeDeleteColumnModal()
+    vscode.postMessage({ type: 'deleteColumn', columnId: columnId, archiveTasks: true })
+  }
+  document.getElementById('delete-column-modal').style.display = 'block'
+}
+
+function closeDeleteColumnModal () {
+  document.getElementById('delete-column-modal').style.display = 'none'
+}
+
 function toggleColumnArchive(columnId) {
   // 如果是统一归档列，不允许切换
   if (columnId === 'unified-archive') return
@@ -1503,43 +3301,57 @@ function toggleColumnArchive(columnId) {
 
 // Tag input handling
 function setupTagsInput () {
-  const tagsInput = document.getElementById('tags-input')
-  const tagsContainer = document.getElementById('tags-container')
+  setupChipInput('tags-input', 'tags-container', getAllExistingTags, getFormTags, addTagToContainer)
+}
+
+function setupAssigneesInput () {
+  setupChipInput('assignees-input', 'assignees-container', getAllExistingAssignees, getFormAssignees, addAssigneeToContainer)
+}
+
+// Text input inside a chip container: Enter or comma adds the typed value (or the highlighted
+// suggestion) as a chip, and suggestions come from values already used on the board
+function setupChipInput (inputId, containerId, getAllValues, getFormValues, addToContainer) {
+  const chipInput = document.getElementById(inputId)
+  const chipContainer = document.getElementById(containerId)
 
   const autocompleteList = document.createElement('div')
   autocompleteList.className = 'tags-autocomplete-list'
   autocompleteList.style.display = 'none'
-  tagsContainer.appendChild(autocompleteList)
+  chipContainer.appendChild(autocompleteList)
 
   let selectedIndex = -1
 
-  tagsInput.addEventListener('input', e => {
+  const addValue = value => {
+    addToContainer(value)
+    chipInput.value = ''
+    hideAutocompleteSuggestions(autocompleteList)
+  }
+
+  chipInput.addEventListener('input', e => {
     const inputValue = e.target.value.trim()
     if (inputValue.length > 0) {
-      showAutocompleteSuggestions(inputValue, autocompleteList, tagsInput)
+      showAutocompleteSuggestions(inputValue, autocompleteList, getAllValues(), getFormValues(), addValue)
     } else {
       hideAutocompleteSuggestions(autocompleteList)
     }
     selectedIndex = -1
   })
 
-  tagsInput.addEventListener('keydown', e => {
+  chipInput.addEventListener('keydown', e => {
     const suggestions = autocompleteList.querySelectorAll('.autocomplete-item')
     
     if (e.key === 'Enter' || e.key === ',') {
       e.preventDefault()
       
-      let tagToAdd = ''
+      let valueToAdd = ''
       if (selectedIndex >= 0 && suggestions[selectedIndex]) {
-        tagToAdd = suggestions[selectedIndex].textContent
+        valueToAdd = suggestions[selectedIndex].textContent
       } else {
-        tagToAdd = tagsInput.value.trim()
+        valueToAdd = chipInput.value.trim()
       }
       
-      if (tagToAdd) {
-        addTagToContainer(tagToAdd)
-        tagsInput.value = ''
-        hideAutocompleteSuggestions(autocompleteList)
+      if (valueToAdd) {
+        addValue(valueToAdd)
         selectedIndex = -1
       }
     } else if (e.key === 'ArrowDown') {
@@ -1561,7 +3373,7 @@ function setupTagsInput () {
   })
 
   document.addEventListener('click', e => {
-    if (!tagsContainer.contains(e.target)) {
+    if (!chipContainer.contains(e.target)) {
       hideAutocompleteSuggestions(autocompleteList)
       selectedIndex = -1
     }
@@ -1588,31 +3400,24 @@ function getAllExistingTags() {
   return Array.from(allTags).sort()
 }
 
-function showAutocompleteSuggestions(inputValue, autocompleteList, tagsInput) {
-  const allTags = getAllExistingTags()
-  const currentTags = getFormTags()
-  
-  const filteredTags = allTags.filter(tag => 
-    tag.toLowerCase().startsWith(inputValue.toLowerCase()) && 
-    !currentTags.includes(tag)
+function showAutocompleteSuggestions(inputValue, autocompleteList, allValues, currentValues, addValue) {
+  const filteredValues = allValues.filter(value => 
+    value.toLowerCase().startsWith(inputValue.toLowerCase()) && 
+    !currentValues.includes(value)
   )
   
-  if (filteredTags.length === 0) {
+  if (filteredValues.length === 0) {
     hideAutocompleteSuggestions(autocompleteList)
     return
   }
   
   autocompleteList.innerHTML = ''
   
-  filteredTags.forEach((tag, index) => {
+  filteredValues.forEach(value => {
     const item = document.createElement('div')
     item.className = 'autocomplete-item'
-    item.textContent = tag
-    item.addEventListener('click', () => {
-      addTagToContainer(tag)
-      tagsInput.value = ''
-      hideAutocompleteSuggestions(autocompleteList)
-    })
+    item.textContent = value
+    item.addEventListener('click', () => addValue(value))
     autocompleteList.appendChild(item)
   })
   
@@ -1668,6 +3473,82 @@ function getFormTags () {
   )
 }
 
+// Assignees are shown and typed as @name, stored without the '@'
+function normalizeAssignee (name) {
+  return name.trim().replace(/^@+/, '').replace(/[\s,|]+/g, '')
+}
+
+function getAllExistingAssignees() {
+  const allAssignees = new Set()
+  if (currentUser) {
+    allAssignees.add(`@${currentUser}`)
+  }
+
+  if (currentBoard?.columns) {
+    currentBoard.columns.forEach(column => {
+      column.tasks.forEach(task => {
+        (task.assignees || []).forEach(name => allAssignees.add(`@${name}`))
+      })
+    })
+  }
+
+  return Array.from(allAssignees).sort()
+}
+
+function addAssigneeToContainer (name) {
+  const assignee = normalizeAssignee(name)
+  if (!assignee || getFormAssignees().includes(`@${assignee}`)) return
+
+  const container = document.getElementById('assignees-container')
+  const chip = document.createElement('div')
+  chip.className = 'tag-item'
+  chip.dataset.assignee = assignee
+  chip.textContent = `@${assignee}`
+  const removeButton = document.createElement('button')
+  removeButton.type = 'button'
+  removeButton.className = 'tag-remove'
+  removeButton.textContent = '×'
+  removeButton.onclick = () => chip.remove()
+  chip.appendChild(removeButton)
+
+  container.insertBefore(chip, document.getElementById('assignees-input'))
+}
+
+function clearAndPopulateAssignees(assignees) {
+  document.getElementById('assignees-container').querySelectorAll('.tag-item').forEach(chip => chip.remove())
+  ;(assignees || []).forEach(name => addAssigneeToContainer(name))
+}
+
+function getFormAssignees () {
+  return Array.from(document.getElementById('assignees-container').querySelectorAll('.tag-item'))
+    .map(chip => `@${chip.dataset.assignee}`)
+}
+
+// Two-letter initials for the card chips: "alice.smith" → "AS", "bob" → "BO"
+function getAssigneeInitials (name) {
+  const words = name.split(/[._\-\s]+/).filter(Boolean)
+  const initials = words.length > 1 ? words[0][0] + words[1][0] : name.substring(0, 2)
+  return initials.toUpperCase()
+}
+
+// Stable per-name hue so the same person always gets the same chip colour
+function getAssigneeHue (name) {
+  let hash = 0
+  for (const char of name) {
+    hash = (hash * 31 + char.charCodeAt(0)) % 360
+  }
+  return hash
+}
+
+function createAssigneeChips (assignees, withNames = false) {
+  return (assignees || []).map(name => {
+    const isMe = currentUser && name.toLowerCase() === currentUser.toLowerCase()
+    return `<span class="task-assignee${isMe ? ' me' : ''}${withNames ? ' with-name' : ''}" title="@${name}">` +
+      `<span class="task-assignee-avatar" style="background-color: hsl(${getAssigneeHue(name)}, 45%, 40%)">${getAssigneeInitials(name)}</span>` +
+      `${withNames ? `<span class="task-assignee-name">@${name}</span>` : ''}</span>`
+  }).join('')
+}
+
 // Steps handling functions
 function addStep () {
   const stepsInput = document.getElementById('steps-input')
@@ -1803,8 +3684,9 @@ function goToSource (taskId) {
 }
 
 // Inline quick-add (Linear-style)
-function startInlineAdd (columnId) {
-  const container = document.getElementById('inline-add-' + columnId)
+// cellId is the column ID, or column ID plus lane in swimlane mode (see createColumnElement)
+function startInlineAdd (cellId) {
+  const container = document.getElementById('inline-add-' + cellId)
   if (!container) return
   container.style.display = 'block'
   const input = container.querySelector('.inline-add-input')
@@ -1812,26 +3694,29 @@ function startInlineAdd (columnId) {
   input.focus()
 }
 
-function handleInlineAddKey (e, columnId) {
+function handleInlineAddKey (e, columnId, cellId = columnId) {
   if (e.key === 'Enter') {
     e.preventDefault()
     const title = e.target.value.trim()
     if (title) {
+      // A task added inside a swimlane starts out in that lane
+      const laneKey = e.target.closest('.kanban-column').dataset.laneKey
+      const taskData = { title: title, description: '', tags: [], steps: [], ac: [], verify: [], files: '' }
       vscode.postMessage({
         type: 'addTask',
         columnId: columnId,
-        taskData: { title: title, description: '', tags: [], steps: [], ac: [], verify: [], files: '' }
+        taskData: laneKey !== undefined ? applyLaneToTask(taskData, laneKey) : taskData
       })
       e.target.value = ''
       // Keep input open for rapid entry
     }
   } else if (e.key === 'Escape') {
-    cancelInlineAdd(columnId)
+    cancelInlineAdd(cellId)
   }
 }
 
-function cancelInlineAdd (columnId) {
-  const container = document.getElementById('inline-add-' + columnId)
+function cancelInlineAdd (cellId) {
+  const container = document.getElementById('inline-add-' + cellId)
   if (container) {
     container.style.display = 'none'
   }
@@ -2213,28 +4098,100 @@ function positionTooltip(trigger) {
 // Filter and sort event listeners
 document.addEventListener('DOMContentLoaded', () => {
   setupTagsInput()
+  setupAssigneesInput()
   setupStepsInput()
   setupDescriptionHandlers()
   setupImageHoverPreview()
 
   // Tag filtering
   document.getElementById('tag-filter').addEventListener('input', e => {
-    currentTagFilter = e.target.value
+    setFilterQuery(e.target.value)
     renderBoard()
   })
 
+  // Search
+  const searchInput = document.getElementById('search-input')
+  searchInput.addEventListener('input', e => setSearchQuery(e.target.value))
+  searchInput.addEventListener('keydown', e => {
+    if (e.key === 'Enter') {
+      e.preventDefault()
+      stepSearch(e.shiftKey ? -1 : 1)
+    } else if (e.key === 'Escape') {
+      e.stopPropagation()
+      closeSearch()
+    }
+  })
+  document.getElementById('search-btn').addEventListener('click', openSearch)
+  document.getElementById('search-prev').addEventListener('click', () => stepSearch(-1))
+  document.getElementById('search-next').addEventListener('click', () => stepSearch(1))
+  document.getElementById('search-close').addEventListener('click', closeSearch)
+
+  // Bulk actions; the selects act on change and then go back to their placeholder
+  ;['move', 'priority', 'workload'].forEach(action => {
+    document.getElementById(`bulk-${action}`).addEventListener('change', e => {
+      const value = e.target.value
+      e.target.selectedIndex = 0
+      sendBulkUpdate(action, value === 'none' ? '' : value)
+    })
+  })
+  document.getElementById('bulk-add-tag').addEventListener('click', () => bulkEditTag('addTag'))
+  document.getElementById('bulk-remove-tag').addEventListener('click', () => bulkEditTag('removeTag'))
+  document.getElementById('bulk-tag').addEventListener('keydown', e => {
+    if (e.key === 'Enter') {
+      e.preventDefault()
+      bulkEditTag('addTag')
+    }
+  })
+  document.getElementById('bulk-set-due').addEventListener('click', () => {
+    sendBulkUpdate('dueDate', document.getElementById('bulk-due').value)
+  })
+  document.getElementById('bulk-archive').addEventListener('click', () => sendBulkUpdate('archive'))
+  document.getElementById('bulk-delete').addEventListener('click', bulkDelete)
+  document.getElementById('bulk-clear').addEventListener('click', clearSelection)
+
+  // Saved views
+  document.getElementById('saved-view-select').addEventListener('change', e => {
+    const value = e.target.value
+    e.target.value = activeSavedView
+    if (value === '__save') {
+      saveCurrentView()
+    } else if (value === '__delete') {
+      deleteSavedView()
+    } else {
+      selectSavedView(value)
+    }
+  })
+
   // Sorting
   document.getElementById('sort-select').addEventListener('change', e => {
     currentSort = e.target.value
     renderBoard()
   })
 
+  // Swimlanes
+  document.getElementById('group-select').addEventListener('change', e => {
+    currentGroupBy = e.target.value
+    renderBoard()
+  })
+
+  // Only show tasks assigned to markdown-kanban.username
+  document.getElementById('my-tasks-btn').addEventListener('click', () => {
+    if (!currentUser) return
+    showMyTasksOnly = !showMyTasksOnly
+    updateMyTasksButton()
+    renderBoard()
+  })
+
   // Clear filters
   document.getElementById('clear-filters').addEventListener('click', () => {
     document.getElementById('tag-filter').value = ''
     document.getElementById('sort-select').value = 'none'
-    currentTagFilter = ''
+    document.getElementById('group-select').value = 'none'
+    setFilterQuery('')
     currentSort = 'none'
+    currentGroupBy = 'none'
+    showMyTasksOnly = false
+    updateMyTasksButton()
     renderBoard()
   })
 
@@ -2250,6 +4207,14 @@ document.addEventListener('DOMContentLoaded', () => {
     toggleFilters(false)
   })
 
+  // Undo / redo board actions
+  document.getElementById('undo-btn').addEventListener('click', () => {
+    vscode.postMessage({ type: 'undo' })
+  })
+  document.getElementById('redo-btn').addEventListener('click', () => {
+    vscode.postMessage({ type: 'redo' })
+  })
+
   // Copy task ID on click (delegated)
   document.addEventListener('click', e => {
     const badge = e.target.closest('[data-copy-id]')
@@ -2271,13 +4236,17 @@ document.getElementById('task-form').addEventListener('submit', e => {
     description: document.getElementById('task-description').value.trim(),
     priority: document.getElementById('task-priority').value || undefined,
     workload: document.getElementById('task-workload').value || undefined,
+    startDate: document.getElementById('task-start-date').value || undefined,
     dueDate: document.getElementById('task-due-date').value || undefined,
+    repeat: document.getElementById('task-repeat').value.trim() || undefined,
     defaultExpanded: document.getElementById('task-default-expanded').checked,
     tags: getFormTags(),
+    assignees: getFormAssignees().map(normalizeAssignee),
     steps: getFormSteps(),
     ac: getFormAc(),
     verify: getFormVerify(),
-    files: document.getElementById('task-files').value.trim()
+    files: document.getElementById('task-files').value.trim(),
+    blockedBy: document.getElementById('task-blocked-by').value.split(',').map(id => id.trim()).filter(id => id !== '')
   }
 
   if (!taskData.title) {
@@ -2285,6 +4254,17 @@ document.getElementById('task-form').addEventListener('submit', e => {
     return
   }
 
+  if (taskData.startDate && taskData.dueDate && taskData.startDate > taskData.dueDate) {
+    alert('The start date must be on or before the due date')
+    return
+  }
+
+  // Same forms as MarkdownKanbanParser.parseRecurrence
+  if (taskData.repeat && !/^(daily|weekly|monthly|yearly|every\s+([1-9]\d*\s+)?(day|week|month|year)s?)$/i.test(taskData.repeat)) {
+    alert('Repeat must look like "every 2 weeks", "every month" or "weekly"')
+    return
+  }
+
   if (isEditMode) {
     vscode.postMessage({
       type: 'editTask',
@@ -2324,6 +4304,13 @@ document.getElementById('input-modal').addEventListener('click', e => {
   }
 })
 
+// Close delete column modal when clicking outside
+document.getElementById('delete-column-modal').addEventListener('click', e => {
+  if (e.target.id === 'delete-column-modal') {
+    closeDeleteColumnModal()
+  }
+})
+
 // Close detail modal when clicking outside
 document.getElementById('task-detail-modal').addEventListener('click', e => {
   if (e.target.id === 'task-detail-modal') {
@@ -2331,18 +4318,121 @@ document.getElementById('task-detail-modal').addEventListener('click', e => {
   }
 })
 
+// Ctrl/Cmd+Z undoes the last board action, Ctrl/Cmd+Shift+Z or Ctrl+Y redoes it.
+// Text fields keep their native undo, and the board stays put while a modal is open.
+// In the custom editor VS Code already sends these keys to the document's undo stack.
+document.addEventListener('keydown', e => {
+  if (useEditorUndo || !(e.ctrlKey || e.metaKey) || e.altKey) return
+  const key = e.key.toLowerCase()
+  if (key !== 'z' && key !== 'y') return
+
+  if (isEditableTarget(e.target) || isModalOpen()) return
+
+  e.preventDefault()
+  vscode.postMessage({ type: key === 'y' || e.shiftKey ? 'redo' : 'undo' })
+})
+
+function isEditableTarget(target) {
+  return !!target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.tagName === 'SELECT' || target.isContentEditable)
+}
+
+function isModalOpen() {
+  return Array.from(document.querySelectorAll('.modal')).some(modal => modal.style.display === 'block')
+}
+
+// Board shortcuts (see the ? overlay). They only apply to the board view, outside text fields
+// and modals; the shortcuts overlay itself closes with ? or Escape.
+document.addEventListener('keydown', e => {
+  if (currentView !== 'board' || !currentBoard || isEditableTarget(e.target)) return
+  if (e.ctrlKey || e.metaKey) return
+
+  const shortcutsOpen = document.getElementById('shortcuts-modal').style.display === 'block'
+  if (e.key === '?') {
+    e.preventDefault()
+    shortcutsOpen ? closeShortcutsModal() : openShortcutsModal()
+    return
+  }
+  if (isModalOpen()) return
+
+  const card = keyboardFocus && keyboardFocus.taskId ? getFocusedCard() : null
+  const columnId = card ? card.closest('.kanban-column').dataset.columnId : null
+
+  if (e.key.startsWith('Arrow')) {
+    e.preventDefault()
+    if (e.altKey) {
+      if (card) moveFocusedTask(card, columnId, e.key)
+    } else {
+      moveKeyboardFocus(e.key)
+    }
+  } else if (e.altKey) {
+    return
+  } else if (e.key === 'Enter' && card && e.target.tagName !== 'BUTTON') {
+    e.preventDefault()
+    openTaskDetailModal(keyboardFocus.taskId, columnId)
+  } else if (e.key === 'e' && card) {
+    e.preventDefault()
+    editTask(keyboardFocus.taskId, columnId)
+  } else if (e.key === 'n' && keyboardFocus) {
+    e.preventDefault()
+    startInlineAdd(keyboardFocus.cellId)
+  } else if (e.key === 'Escape' && selectedTaskIds.size > 0) {
+    clearSelection()
+  } else if (e.key === 'Escape' && keyboardFocus) {
+    setKeyboardFocus(null, null)
+  }
+})
+
+// Ctrl/Cmd-click toggles a card in the selection and Shift-click selects a range; both stop
+// the click from opening the card. A plain click on a card drops the selection.
+document.addEventListener('click', e => {
+  const card = e.target.closest && e.target.closest('#kanban-board .task-item, #kanban-board .archive-task-item')
+  if (!card) return
+
+  if (e.ctrlKey || e.metaKey || e.shiftKey) {
+    e.preventDefault()
+    e.stopPropagation()
+    if (e.shiftKey && selectionAnchor) {
+      selectTaskRange(selectionAnchor, card.dataset.taskId)
+    } else {
+      toggleTaskSelection(card.dataset.taskId)
+    }
+  } else if (selectedTaskIds.size > 0) {
+    clearSelection()
+  }
+}, true)
+
+// Clicking a card moves the keyboard focus there
+document.addEventListener('click', e => {
+  const card = e.target.closest && e.target.closest('#kanban-board .kanban-column:not(.unified-archive) .task-item')
+  if (card) setKeyboardFocus(card.closest('.kanban-column'), card)
+})
+
+// Ctrl/Cmd+F opens the board search
+document.addEventListener('keydown', e => {
+  if ((e.ctrlKey || e.metaKey) && !e.altKey && !e.shiftKey && e.key.toLowerCase() === 'f') {
+    e.preventDefault()
+    openSearch()
+  }
+})
+
 // ESC key closes modals (topmost first)
 document.addEventListener('keydown', e => {
   if (e.key === 'Escape') {
     const taskModal = document.getElementById('task-modal')
     const confirmModal = document.getElementById('confirm-modal')
     const inputModal = document.getElementById('input-modal')
+    const deleteColumnModal = document.getElementById('delete-column-modal')
     const detailModal = document.getElementById('task-detail-modal')
+    const shortcutsModal = document.getElementById('shortcuts-modal')
 
-    if (confirmModal.style.display === 'block') {
+    if (shortcutsModal.style.display === 'block') {
+      closeShortcutsModal()
+    } else if (confirmModal.style.display === 'block') {
       closeConfirmModal()
     } else if (inputModal.style.display === 'block') {
       closeInputModal()
+    } else if (deleteColumnModal.style.display === 'block') {
+      closeDeleteColumnModal()
     } else if (taskModal.style.display === 'block') {
       closeTaskModal()
     } else if (detailModal.style.display === 'block') {
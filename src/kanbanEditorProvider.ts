@@ -0,0 +1,25 @@
+import * as vscode from 'vscode';
+
+import { KanbanWebviewPanel } from './kanbanWebviewPanel';
+
+/**
+ * Opens markdown files as a board in the editor area. `*.kanban.md` files open this way by
+ * default; any other markdown file can be mapped to `viewType` through `workbench.editorAssociations`.
+ */
+export class KanbanEditorProvider implements vscode.CustomTextEditorProvider {
+    public static readonly viewType = 'markdown-kanban.editor';
+
+    public static register(context: vscode.ExtensionContext): vscode.Disposable {
+        return vscode.window.registerCustomEditorProvider(
+            KanbanEditorProvider.viewType,
+            new KanbanEditorProvider(context),
+            { webviewOptions: { retainContextWhenHidden: true } }
+        );
+    }
+
+    private constructor(private readonly _context: vscode.ExtensionContext) {}
+
+    public resolveCustomTextEditor(document: vscode.TextDocument, webviewPanel: vscode.WebviewPanel): void {
+        KanbanWebviewPanel.resolveCustomEditor(webviewPanel, this._context.extensionUri, this._context, document);
+    }
+}
@@ -2,12 +2,37 @@ import * as vscode from 'vscode';
 import * as path from 'path';
 import * as fs from 'fs';
 
-import { MarkdownKanbanParser, KanbanBoard, KanbanTask, KanbanColumn } from './markdownParser';
+import { MarkdownKanbanParser, KanbanBoard, KanbanTask, KanbanSubtask, KanbanColumn, TimeEntry, DropTarget } from './markdownParser';
+import { TimeTracker } from './timeTracker';
+
+// Named combination of the board's display settings; hidden columns are stored by column ID
+export interface SavedView {
+    name: string;
+    filter: string;
+    sort: string;
+    groupBy: string;
+    hiddenColumns: string[];
+}
+
+interface SavedViewState {
+    views: SavedView[];
+    active?: string;
+}
 
 export class KanbanWebviewPanel {
-    public static currentPanel: KanbanWebviewPanel | undefined;
     public static readonly viewType = 'markdownKanbanPanel';
 
+    // Every open board. A file opened both as a custom editor and as a panel has two entries.
+    private static readonly _panels = new Set<KanbanWebviewPanel>();
+
+    // Toggled by the 'disableFileListener' command; custom editors always stay in sync
+    public static fileListenerEnabled = true;
+
+    // Set on activation; the status bar timer shared by all boards
+    public static timeTracker?: TimeTracker;
+
+    private static readonly _maxHistory = 100;
+
     private readonly _panel: vscode.WebviewPanel;
     private readonly _extensionUri: vscode.Uri;
     private _context: vscode.ExtensionContext;
@@ -15,27 +40,99 @@ export class KanbanWebviewPanel {
     private _board?: KanbanBoard;
     private _document?: vscode.TextDocument;
     private _htmlInitialized = false;
-    private _lastSelfSaveTime = 0;
+    // Text of the document as last parsed or written by the board, used to skip echo reloads
+    private _lastSyncedText?: string;
+    private _isApplyingEdit = false;
+    private _pendingSave: Promise<void> = Promise.resolve();
+    // Serialized board states before/after each board action, newest last
+    private _undoStack: string[] = [];
+    private _redoStack: string[] = [];
+    // Custom editors leave saving to VS Code, so the document shows as dirty and can be undone
+    private readonly _isCustomEditor: boolean;
 
     public get documentUri(): vscode.Uri | undefined {
         return this._document?.uri;
     }
 
-    public static createOrShow(extensionUri: vscode.Uri, context: vscode.ExtensionContext, document?: vscode.TextDocument) {
-        const column = vscode.window.activeTextEditor?.viewColumn;
+    public static getPanel(documentUri: vscode.Uri): KanbanWebviewPanel | undefined {
+        const panels = Array.from(KanbanWebviewPanel._panels)
+            .filter(panel => panel._document?.uri.toString() === documentUri.toString());
+        return panels.find(panel => panel._panel.active) ?? panels[0];
+    }
+
+    // The focused board, or the only open one
+    public static getActivePanel(): KanbanWebviewPanel | undefined {
+        const panels = Array.from(KanbanWebviewPanel._panels);
+        return panels.find(panel => panel._panel.active) ?? (panels.length === 1 ? panels[0] : undefined);
+    }
 
-        if (KanbanWebviewPanel.currentPanel) {
-            KanbanWebviewPanel.currentPanel._panel.reveal(column);
-            if (document) {
-                KanbanWebviewPanel.currentPanel.loadMarkdownFile(document);
+    /**
+     * Adds a stopped timer's entry to the task's **Logged:** section. Goes through the open board
+     * (so it can be undone there) or, when the file isn't open as a board, edits the file directly.
+     */
+    public static async logTime(uri: vscode.Uri, taskId: string, entry: TimeEntry) {
+        const panel = KanbanWebviewPanel.getPanel(uri);
+        if (panel?._board) {
+            if (!KanbanWebviewPanel._findTaskOnBoard(panel._board, taskId)) {
+                KanbanWebviewPanel._warnNotLogged(taskId, entry);
+                return;
             }
+            await panel.performAction(() => KanbanWebviewPanel._appendTimeEntry(panel._board!, taskId, entry));
             return;
         }
 
-        // Include workspace folders in localResourceRoots so images can load
-        const resourceRoots: vscode.Uri[] = [extensionUri];
-        if (vscode.workspace.workspaceFolders) {
-            resourceRoots.push(...vscode.workspace.workspaceFolders.map(f => f.uri));
+        const document = await vscode.workspace.openTextDocument(uri);
+        // Unsaved edits in a text editor are the user's to save; only a clean file is saved again
+        const wasDirty = document.isDirty;
+        const board = MarkdownKanbanParser.parseMarkdown(document.getText());
+        if (!KanbanWebviewPanel._appendTimeEntry(board, taskId, entry)) {
+            KanbanWebviewPanel._warnNotLogged(taskId, entry);
+            return;
+        }
+
+        const taskHeaderFormat = vscode.workspace.getConfiguration('markdown-kanban').get<'title' | 'list'>('taskHeader', 'title');
+        const edit = new vscode.WorkspaceEdit();
+        for (const { start, end, text } of MarkdownKanbanParser.generateEdits(document.getText(), board, taskHeaderFormat)) {
+            edit.replace(uri, new vscode.Range(start, 0, end, 0), text);
+        }
+        await vscode.workspace.applyEdit(edit);
+        if (!wasDirty) {
+            await document.save();
+        }
+    }
+
+    // Finds a task or subtask by ID, with the column it (or its parent) is in
+    private static _findTaskOnBoard(board: KanbanBoard, taskId: string): { task: KanbanTask; column: KanbanColumn } | undefined {
+        for (const column of board.columns) {
+            for (const task of column.tasks) {
+                const found = task.id === taskId ? task : task.subtasks?.find(subtask => subtask.id === taskId);
+                if (found) return { task: found, column };
+            }
+        }
+        return undefined;
+    }
+
+    private static _appendTimeEntry(board: KanbanBoard, taskId: string, entry: TimeEntry): boolean {
+        const task = KanbanWebviewPanel._findTaskOnBoard(board, taskId)?.task;
+        if (!task) return false;
+
+        task.logged = [...(task.logged || []), entry];
+        return true;
+    }
+
+    private static _warnNotLogged(taskId: string, entry: TimeEntry) {
+        vscode.window.showWarningMessage(`${taskId} is no longer on its board, so ${MarkdownKanbanParser.formatDuration(entry.minutes)} from ${entry.start} was not logged.`);
+    }
+
+    public static createOrShow(extensionUri: vscode.Uri, context: vscode.ExtensionContext, document: vscode.TextDocument) {
+        const column = vscode.window.activeTextEditor?.viewColumn;
+
+        // A file that is already open as a board (panel or custom editor) is shown, not opened twice
+        const existingPanel = KanbanWebviewPanel.getPanel(document.uri);
+        if (existingPanel) {
+            existingPanel._panel.reveal(existingPanel._isCustomEditor ? undefined : column);
+            existingPanel.loadMarkdownFile(document);
+            return;
         }
 
         const panel = vscode.window.createWebviewPanel(
@@ -44,50 +141,85 @@ export class KanbanWebviewPanel {
             column || vscode.ViewColumn.One,
             {
                 enableScripts: true,
-                localResourceRoots: resourceRoots,
+                localResourceRoots: KanbanWebviewPanel._getResourceRoots(extensionUri),
                 retainContextWhenHidden: true
             }
         );
 
-        KanbanWebviewPanel.currentPanel = new KanbanWebviewPanel(panel, extensionUri, context);
+        const kanbanPanel = new KanbanWebviewPanel(panel, extensionUri, context, false);
+        kanbanPanel.loadMarkdownFile(document);
+    }
+
+    public static resolveCustomEditor(panel: vscode.WebviewPanel, extensionUri: vscode.Uri, context: vscode.ExtensionContext, document: vscode.TextDocument) {
+        panel.webview.options = {
+            enableScripts: true,
+            localResourceRoots: KanbanWebviewPanel._getResourceRoots(extensionUri),
+        };
+        const kanbanPanel = new KanbanWebviewPanel(panel, extensionUri, context, true);
+        kanbanPanel.loadMarkdownFile(document);
+    }
 
-        if (document) {
-            KanbanWebviewPanel.currentPanel.loadMarkdownFile(document);
+    public static async revive(panel: vscode.WebviewPanel, extensionUri: vscode.Uri, context: vscode.ExtensionContext, state: any) {
+        panel.webview.options = {
+            enableScripts: true,
+            localResourceRoots: KanbanWebviewPanel._getResourceRoots(extensionUri),
+        };
+        const kanbanPanel = new KanbanWebviewPanel(panel, extensionUri, context, false);
+
+        // The webview remembers which file it was showing (see 'updateBoard' in webviewScript.js)
+        if (state?.documentUri) {
+            try {
+                const document = await vscode.workspace.openTextDocument(vscode.Uri.parse(state.documentUri));
+                kanbanPanel.loadMarkdownFile(document);
+            } catch (error) {
+                console.error('Error restoring Kanban board:', error);
+            }
         }
     }
 
-    public static revive(panel: vscode.WebviewPanel, extensionUri: vscode.Uri, context: vscode.ExtensionContext) {
+    // Include workspace folders in localResourceRoots so images can load
+    private static _getResourceRoots(extensionUri: vscode.Uri): vscode.Uri[] {
         const resourceRoots: vscode.Uri[] = [extensionUri];
         if (vscode.workspace.workspaceFolders) {
             resourceRoots.push(...vscode.workspace.workspaceFolders.map(f => f.uri));
         }
-        panel.webview.options = {
-            enableScripts: true,
-            localResourceRoots: resourceRoots,
-        };
-        KanbanWebviewPanel.currentPanel = new KanbanWebviewPanel(panel, extensionUri, context);
+        return resourceRoots;
     }
 
-    private constructor(panel: vscode.WebviewPanel, extensionUri: vscode.Uri, context: vscode.ExtensionContext) {
+    private constructor(panel: vscode.WebviewPanel, extensionUri: vscode.Uri, context: vscode.ExtensionContext, isCustomEditor: boolean) {
         this._panel = panel;
         this._extensionUri = extensionUri;
         this._context = context;
+        this._isCustomEditor = isCustomEditor;
 
         this._update();
         this._setupEventListeners();
-        
-        if (this._document) {
-            this.loadMarkdownFile(this._document);
-        }
     }
 
     private _setupEventListeners() {
         this._panel.onDidDispose(() => this.dispose(), null, this._disposables);
 
         // retainContextWhenHidden preserves the webview DOM on tab switch.
-        // File changes are handled by onDidChangeTextDocument in extension.ts.
         // No onDidChangeViewState handler needed — avoids redundant re-renders.
 
+        // Keep the board in sync with its document: typing in a text editor, undo/redo, git checkouts
+        vscode.workspace.onDidChangeTextDocument(event => {
+            if (!this._document || event.document.uri.toString() !== this._document.uri.toString()) return;
+            if (this._isApplyingEdit) return;
+            if (!this._isCustomEditor && !KanbanWebviewPanel.fileListenerEnabled) return;
+            this.loadMarkdownFile(event.document);
+        }, null, this._disposables);
+
+        // Cards show which task the status bar timer is running for
+        KanbanWebviewPanel.timeTracker?.onDidChange(() => this._sendBoardData(), null, this._disposables);
+
+        vscode.workspace.onDidChangeConfiguration(event => {
+            // Done columns, username and WIP limit mode are all sent with the board
+            if (event.affectsConfiguration('markdown-kanban')) {
+                this._sendBoardData();
+            }
+        }, null, this._disposables);
+
         this._panel.webview.onDidReceiveMessage(
             message => this._handleMessage(message),
             null,
@@ -98,7 +230,7 @@ export class KanbanWebviewPanel {
     private _handleMessage(message: any) {
         switch (message.type) {
             case 'moveTask':
-                this.moveTask(message.taskId, message.fromColumnId, message.toColumnId, message.newIndex);
+                this.moveTask(message.taskId, message.fromColumnId, message.toColumnId, message.newIndex ?? message.dropTarget, message.taskData);
                 break;
             case 'addTask':
                 this.addTask(message.columnId, message.taskData);
@@ -109,12 +241,23 @@ export class KanbanWebviewPanel {
             case 'editTask':
                 this.editTask(message.taskId, message.columnId, message.taskData);
                 break;
+            case 'bulkUpdate':
+                if (Array.isArray(message.tasks)) {
+                    this.bulkUpdate(message.tasks, message.action, message.value);
+                }
+                break;
             case 'addColumn':
                 this.addColumn(message.title);
                 break;
             case 'moveColumn':
                 this.moveColumn(message.fromIndex, message.toIndex);
                 break;
+            case 'renameColumn':
+                this.renameColumn(message.columnId, message.title);
+                break;
+            case 'deleteColumn':
+                this.deleteColumn(message.columnId, message.moveTasksTo, message.archiveTasks);
+                break;
             case 'toggleTask':
                 this.toggleTaskExpansion(message.taskId);
                 break;
@@ -127,18 +270,61 @@ export class KanbanWebviewPanel {
             case 'reorderTaskSteps':
                 this.reorderTaskSteps(message.taskId, message.columnId, message.newOrder);
                 break;
+            case 'addSubtask':
+                this.addSubtask(message.taskId, message.columnId, message.title);
+                break;
+            case 'toggleSubtask':
+                this.toggleSubtask(message.taskId, message.columnId, message.completed);
+                break;
+            case 'promoteStep':
+                this.promoteStep(message.taskId, message.columnId, message.stepIndex);
+                break;
+            case 'startTimer': {
+                const result = this.findTaskOrSubtask(message.columnId, message.taskId);
+                const tracker = KanbanWebviewPanel.timeTracker;
+                if (this._document && result && tracker) {
+                    const uri = this._document.uri;
+                    this._runTimerAction(() => tracker.start(uri, result.task.id, result.task.title));
+                }
+                break;
+            }
+            case 'stopTimer': {
+                const tracker = KanbanWebviewPanel.timeTracker;
+                if (tracker) {
+                    this._runTimerAction(() => tracker.stop());
+                }
+                break;
+            }
             case 'toggleColumnArchive':
                 this.toggleColumnArchive(message.columnId, message.archived);
                 break;
             case 'pasteImage':
                 this.handlePasteImage(message.imageData, message.extension || 'png');
                 break;
+            case 'undo':
+                this.undo();
+                break;
+            case 'redo':
+                this.redo();
+                break;
+            case 'showMessage':
+                if (message.level === 'error') {
+                    vscode.window.showErrorMessage(message.text);
+                } else {
+                    vscode.window.showWarningMessage(message.text);
+                }
+                break;
             case 'requestBoard':
                 this._sendBoardData();
                 break;
             case 'goToSource':
                 if (this._document && message.taskId) {
-                    this._goToTaskInSource(message.taskId);
+                    this._goToTaskInSource(message.taskId, message.path);
+                }
+                break;
+            case 'resolveTaskRefs':
+                if (this._document && Array.isArray(message.refs)) {
+                    this._resolveTaskRefs(message.refs);
                 }
                 break;
             case 'openFile':
@@ -150,22 +336,96 @@ export class KanbanWebviewPanel {
                     }
                 }
                 break;
+            case 'saveView':
+                if (message.view?.name) {
+                    this._updateSavedViews(state => {
+                        state.views = state.views.filter(view => view.name !== message.view.name);
+                        state.views.push(message.view);
+                        state.views.sort((a, b) => a.name.localeCompare(b.name));
+                        state.active = message.view.name;
+                    });
+                }
+                break;
+            case 'deleteView':
+                this._updateSavedViews(state => {
+                    state.views = state.views.filter(view => view.name !== message.name);
+                    if (state.active === message.name) {
+                        state.active = undefined;
+                    }
+                });
+                break;
+            case 'setActiveView':
+                this._updateSavedViews(state => {
+                    state.active = message.name || undefined;
+                });
+                break;
+        }
+    }
+
+    // Saved views live in workspace state, keyed by board file, so they don't touch the markdown
+    private _getSavedViews(): SavedViewState {
+        if (!this._document) return { views: [] };
+        return this._context.workspaceState.get<SavedViewState>(`savedViews:${this._document.uri.toString()}`, { views: [] });
+    }
+
+    private async _updateSavedViews(update: (state: SavedViewState) => void) {
+        if (!this._document) return;
+        const state: SavedViewState = JSON.parse(JSON.stringify(this._getSavedViews()));
+        update(state);
+        await this._context.workspaceState.update(`savedViews:${this._document.uri.toString()}`, state);
+        this._panel.webview.postMessage({ type: 'savedViews', views: state.views, active: state.active });
+    }
+
+    public async pickSavedView() {
+        const { views, active } = this._getSavedViews();
+        if (views.length === 0) {
+            vscode.window.showInformationMessage('This board has no saved views yet. Use "Save current view…" in the board header to create one.');
+            return;
+        }
+
+        const picked = await vscode.window.showQuickPick(
+            [
+                { label: 'Default view', description: 'No filter, sort or grouping', name: '' },
+                ...views.map(view => ({
+                    label: view.name,
+                    description: [view.filter, view.sort !== 'none' ? `sorted by ${view.sort}` : '', view.groupBy !== 'none' ? `grouped by ${view.groupBy}` : '']
+                        .filter(part => part)
+                        .join(' · '),
+                    name: view.name,
+                    picked: view.name === active
+                }))
+            ],
+            { placeHolder: 'Switch to saved view…', matchOnDescription: true }
+        );
+        if (picked) {
+            this._panel.reveal();
+            this._panel.webview.postMessage({ type: 'applySavedView', name: picked.name });
         }
     }
 
     public loadMarkdownFile(document: vscode.TextDocument) {
-        // Skip re-parsing when the file change originated from our own save (within 1.5s).
-        // Re-parsing generates new random task IDs which breaks the detail modal.
-        // IMPORTANT: Don't reassign this._document here — it would point to the wrong file
-        // if a different markdown editor triggers this during the guard window.
-        if (Date.now() - this._lastSelfSaveTime < 1500) {
+        const text = document.getText();
+        const isSameDocument = this._document?.uri.toString() === document.uri.toString();
+
+        // Skip re-parsing when the text is what the board last wrote or parsed (e.g. a dirty-state
+        // change or the echo of our own edit). Re-rendering would reset open inputs.
+        if (isSameDocument && this._board && text === this._lastSyncedText) {
             return;
         }
 
         this._document = document;
+        this._lastSyncedText = text;
+        // Board history is recorded against the old text; replaying it would overwrite the outside change
+        this._undoStack = [];
+        this._redoStack = [];
+        KanbanWebviewPanel._panels.add(this);
+        if (!this._isCustomEditor) {
+            // Custom editor tabs are titled by VS Code after the file
+            this._panel.title = `Kanban: ${path.basename(document.fileName)}`;
+        }
 
         try {
-            this._board = MarkdownKanbanParser.parseMarkdown(document.getText());
+            this._board = MarkdownKanbanParser.parseMarkdown(text);
         } catch (error) {
             console.error('Error parsing Markdown:', error);
             vscode.window.showErrorMessage(`Kanban parsing error: ${error instanceof Error ? error.message : String(error)}`);
@@ -201,27 +461,71 @@ export class KanbanWebviewPanel {
         this._panel.webview.postMessage({
             type: 'updateBoard',
             board: board,
-            workspaceUri: workspaceUri
+            workspaceUri: workspaceUri,
+            documentUri: this._document?.uri.toString(),
+            wipLimitMode: vscode.workspace.getConfiguration('markdown-kanban').get<'warn' | 'block'>('wipLimitMode', 'warn'),
+            currentUser: vscode.workspace.getConfiguration('markdown-kanban').get<string>('username', '').trim().replace(/^@/, ''),
+            doneColumnIds: this._board?.columns.filter(column => this._isDoneColumn(column)).map(column => column.id) ?? [],
+            canUndo: this._isCustomEditor || this._undoStack.length > 0,
+            canRedo: this._isCustomEditor || this._redoStack.length > 0,
+            editorUndo: this._isCustomEditor,
+            savedViews: this._getSavedViews(),
+            runningTimer: this._getRunningTimer()
         });
     }
 
+    // Starting a timer can stop and log another one, which writes to a file that may be gone by now
+    private async _runTimerAction(action: () => Promise<void>) {
+        try {
+            await action();
+        } catch (error) {
+            vscode.window.showErrorMessage(`failed to log time: ${error}`);
+        }
+    }
+
+    // The status bar timer, if it is running for a task on this board
+    private _getRunningTimer(): { taskId: string; startedAt: number } | undefined {
+        const running = KanbanWebviewPanel.timeTracker?.running;
+        if (!running || running.uri !== this._document?.uri.toString()) return undefined;
+        return { taskId: running.taskId, startedAt: running.startedAt };
+    }
+
+    // Saves run one after another: each diff is computed against the text the previous one left,
+    // so back-to-back actions (e.g. a drag that changes lane and column) don't clash
+    private saveToMarkdown(): Promise<void> {
+        const save = () => this._writeBoardToDocument();
+        this._pendingSave = this._pendingSave.then(save, save);
+        return this._pendingSave;
+    }
 
-    private async saveToMarkdown() {
+    private async _writeBoardToDocument() {
         if (!this._document || !this._board) return;
 
         // 获取配置设置
         const config = vscode.workspace.getConfiguration('markdown-kanban');
         const taskHeaderFormat = config.get<'title' | 'list'>('taskHeader', 'title');
 
-        const markdown = MarkdownKanbanParser.generateMarkdown(this._board, taskHeaderFormat);
+        // Only rewrite the tasks and columns that changed, so open editors keep their cursor
+        // and edits made elsewhere in the file are left alone
+        const edits = MarkdownKanbanParser.generateEdits(this._document.getText(), this._board, taskHeaderFormat);
+        if (edits.length === 0) return;
+
         const edit = new vscode.WorkspaceEdit();
-        edit.replace(
-            this._document.uri,
-            new vscode.Range(0, 0, this._document.lineCount, 0),
-            markdown
-        );
-        await vscode.workspace.applyEdit(edit);
-        await this._document.save();
+        for (const { start, end, text } of edits) {
+            edit.replace(this._document.uri, new vscode.Range(start, 0, end, 0), text);
+        }
+        this._isApplyingEdit = true;
+        try {
+            await vscode.workspace.applyEdit(edit);
+        } finally {
+            this._isApplyingEdit = false;
+        }
+        this._lastSyncedText = this._document.getText();
+
+        // In the custom editor the edit just marks the document dirty, like typing would
+        if (!this._isCustomEditor) {
+            await this._document.save();
+        }
     }
 
     private findColumn(columnId: string): KanbanColumn | undefined {
@@ -242,16 +546,133 @@ export class KanbanWebviewPanel {
         };
     }
 
+    // Like findTask, but also finds subtasks; `parent` is set when the task is one
+    private findTaskOrSubtask(columnId: string, taskId: string): { column: KanbanColumn; task: KanbanTask; parent?: KanbanTask } | undefined {
+        const column = this.findColumn(columnId);
+        if (!column) return undefined;
+
+        for (const task of column.tasks) {
+            if (task.id === taskId) {
+                return { column, task };
+            }
+            const subtask = task.subtasks?.find(subtask => subtask.id === taskId);
+            if (subtask) {
+                return { column, task: subtask, parent: task };
+            }
+        }
+        return undefined;
+    }
+
     private async performAction(action: () => void) {
         if (!this._board) return;
 
+        // Custom editors undo through the document, so they keep no snapshots of their own
+        const before = this._isCustomEditor ? undefined : JSON.stringify(this._board);
         action();
-        this._lastSelfSaveTime = Date.now();
+
+        // Actions that didn't change anything (e.g. a task that no longer exists) aren't undo steps
+        if (before !== undefined && JSON.stringify(this._board) !== before) {
+            this._undoStack.push(before);
+            if (this._undoStack.length > KanbanWebviewPanel._maxHistory) {
+                this._undoStack.shift();
+            }
+            this._redoStack = [];
+        }
+
+        await this.saveToMarkdown();
+        this._update();
+    }
+
+    // A custom editor's board edits are already on the document's own undo stack, and VS Code
+    // routes Ctrl+Z there; the toolbar buttons use the same stack so both stay in step
+    private async undo() {
+        if (this._isCustomEditor) {
+            await vscode.commands.executeCommand('undo');
+            return;
+        }
+        await this._restoreFromHistory(this._undoStack, this._redoStack);
+    }
+
+    private async redo() {
+        if (this._isCustomEditor) {
+            await vscode.commands.executeCommand('redo');
+            return;
+        }
+        await this._restoreFromHistory(this._redoStack, this._undoStack);
+    }
+
+    private async _restoreFromHistory(from: string[], to: string[]) {
+        const snapshot = from.pop();
+        if (!this._board || snapshot === undefined) return;
+
+        to.push(JSON.stringify(this._board));
+        this._board = JSON.parse(snapshot) as KanbanBoard;
         await this.saveToMarkdown();
         this._update();
     }
 
-    private moveTask(taskId: string, fromColumnId: string, toColumnId: string, newIndex: number) {
+    // Done-like columns are the ones named in `markdown-kanban.doneColumns`, plus archived columns
+    private _isDoneColumn(column: KanbanColumn): boolean {
+        const doneTitles = vscode.workspace.getConfiguration('markdown-kanban').get<string[]>('doneColumns', ['Done']);
+        return !!column.archived || doneTitles.some(title => title.toLowerCase() === column.title.toLowerCase());
+    }
+
+    // Blockers that aren't done yet. IDs that aren't on the board (e.g. deleted tasks) don't block.
+    private _getOpenBlockers(task: KanbanTask): Array<{ task: KanbanTask; column: KanbanColumn }> {
+        if (!this._board || !task.blockedBy?.length) return [];
+
+        const blockers: Array<{ task: KanbanTask; column: KanbanColumn }> = [];
+        for (const column of this._board.columns) {
+            for (const candidate of column.tasks) {
+                if (task.blockedBy.includes(candidate.id) && !this._isDoneColumn(column)) {
+                    blockers.push({ task: candidate, column });
+                }
+            }
+        }
+        return blockers;
+    }
+
+    // Returns the tasks that may be moved; blocked ones are left out when such moves are refused.
+    // However many tasks are moved at once, blocked ones are reported in a single message.
+    private _checkBlockersBeforeDone<T extends { task: KanbanTask; column: KanbanColumn }>(entries: T[], toColumn: KanbanColumn): T[] {
+        if (!this._isDoneColumn(toColumn)) return entries;
+
+        const blocked = entries
+            .filter(entry => !this._isDoneColumn(entry.column))
+            .map(entry => ({ entry, blockers: this._getOpenBlockers(entry.task) }))
+            .filter(({ blockers }) => blockers.length > 0);
+        if (blocked.length === 0) return entries;
+
+        const listBlockers = (blockers: Array<{ task: KanbanTask; column: KanbanColumn }>) =>
+            blockers.map(({ task: blocker, column }) => `${blocker.id} (${column.title})`).join(', ');
+        const taskIds = blocked.map(({ entry }) => entry.task.id).join(', ');
+        const details = blocked.length === 1
+            ? `blocked by ${listBlockers(blocked[0].blockers)}`
+            : `blocked: ${blocked.map(({ entry, blockers }) => `${entry.task.id} by ${listBlockers(blockers)}`).join('; ')}`;
+
+        const mode = vscode.workspace.getConfiguration('markdown-kanban').get<'warn' | 'refuse'>('blockedTaskMove', 'warn');
+        if (mode === 'refuse') {
+            const subject = blocked.length === 1 ? 'it is' : 'they are';
+            vscode.window.showErrorMessage(`${taskIds} can't be moved to ${toColumn.title} while ${subject} ${details}.`);
+            return entries.filter(entry => !blocked.some(({ entry: blockedEntry }) => blockedEntry === entry));
+        }
+        const [verb, subject] = blocked.length === 1 ? ['was', 'is'] : ['were', 'are'];
+        vscode.window.showWarningMessage(`${taskIds} ${verb} moved to ${toColumn.title} but ${subject} still ${details}.`);
+        return entries;
+    }
+
+    // The position is an index into the target column's tasks, or the card a drag was dropped next to.
+    // taskData, when given, is applied as an edit in the same action, e.g. for a drop into another swimlane.
+    private moveTask(taskId: string, fromColumnId: string, toColumnId: string, position: number | DropTarget | undefined, taskData?: any) {
+        const fromColumn = this.findColumn(fromColumnId);
+        const toColumn = this.findColumn(toColumnId);
+        const task = fromColumn?.tasks.find(t => t.id === taskId);
+        if (task && fromColumn && toColumn && this._checkBlockersBeforeDone([{ task, column: fromColumn }], toColumn).length === 0) {
+            // The webview has already moved the card; re-render to put it back
+            this._update();
+            return;
+        }
+
         this.performAction(() => {
             const fromColumn = this.findColumn(fromColumnId);
             const toColumn = this.findColumn(toColumnId);
@@ -262,10 +683,33 @@ export class KanbanWebviewPanel {
             if (taskIndex === -1) return;
 
             const task = fromColumn.tasks.splice(taskIndex, 1)[0];
+            if (taskData) {
+                this._applyTaskData(task, taskData);
+            }
+            const newIndex = typeof position === 'number' ? position : MarkdownKanbanParser.getDropIndex(toColumn.tasks, position);
             toColumn.tasks.splice(newIndex, 0, task);
+            this._repeatIfCompleted(task, fromColumn, toColumn, taskIndex);
         });
     }
 
+    // Finishing a recurring task queues its next instance where the finished one was. Archiving
+    // it doesn't: that puts the task away rather than completing it.
+    private _repeatIfCompleted(task: KanbanTask, fromColumn: KanbanColumn, toColumn: KanbanColumn, index: number) {
+        if (!task.repeat || toColumn.archived || !this._isDoneColumn(toColumn) || this._isDoneColumn(fromColumn)) return;
+
+        const recurrence = MarkdownKanbanParser.parseRecurrence(task.repeat);
+        if (!recurrence) {
+            vscode.window.showWarningMessage(`${task.id} was not repeated: "${task.repeat}" is not a recurrence like "every 2 weeks".`);
+            return;
+        }
+
+        const next = MarkdownKanbanParser.createNextOccurrence(task, recurrence, () => this._getNextTaskId());
+
+        // The rule moves on to the new instance, so moving the finished one around again doesn't repeat it twice
+        delete task.repeat;
+        fromColumn.tasks.splice(index, 0, next);
+    }
+
     private _getNextTaskId(): string {
         if (!this._board) return `TSK_1`;
         const id = `TSK_${this._board.nextId}`;
@@ -284,13 +728,17 @@ export class KanbanWebviewPanel {
                 description: taskData.description,
                 tags: taskData.tags || [],
                 priority: taskData.priority,
+                assignees: taskData.assignees?.length ? taskData.assignees : undefined,
                 workload: taskData.workload,
                 dueDate: taskData.dueDate,
+                startDate: taskData.startDate,
+                repeat: taskData.repeat || undefined,
                 defaultExpanded: taskData.defaultExpanded,
                 steps: taskData.steps || [],
                 ac: taskData.ac || undefined,
                 verify: taskData.verify || undefined,
-                files: taskData.files || undefined
+                files: taskData.files || undefined,
+                blockedBy: taskData.blockedBy?.length ? taskData.blockedBy : undefined
             };
 
             column.tasks.push(newTask);
@@ -299,39 +747,48 @@ export class KanbanWebviewPanel {
 
     private deleteTask(taskId: string, columnId: string) {
         this.performAction(() => {
-            const column = this.findColumn(columnId);
-            if (!column) return;
-
-            const taskIndex = column.tasks.findIndex(task => task.id === taskId);
-            if (taskIndex === -1) return;
+            const result = this.findTaskOrSubtask(columnId, taskId);
+            if (!result) return;
 
-            column.tasks.splice(taskIndex, 1);
+            const siblings = result.parent ? result.parent.subtasks! : result.column.tasks;
+            siblings.splice(siblings.indexOf(result.task as KanbanSubtask), 1);
+            if (result.parent?.subtasks?.length === 0) {
+                delete result.parent.subtasks;
+            }
         });
     }
 
     private editTask(taskId: string, columnId: string, taskData: any) {
         this.performAction(() => {
-            const result = this.findTask(columnId, taskId);
+            const result = this.findTaskOrSubtask(columnId, taskId);
             if (!result) return;
 
-            // Only update fields that the form actually sends
-            result.task.title = taskData.title;
-            result.task.description = taskData.description;
-            result.task.tags = taskData.tags || [];
-            result.task.priority = taskData.priority;
-            result.task.workload = taskData.workload;
-            result.task.dueDate = taskData.dueDate;
-            result.task.defaultExpanded = taskData.defaultExpanded;
-            result.task.steps = taskData.steps || [];
-            result.task.ac = taskData.ac && taskData.ac.length > 0 ? taskData.ac : undefined;
-            result.task.verify = taskData.verify && taskData.verify.length > 0 ? taskData.verify : undefined;
-            result.task.files = taskData.files || undefined;
+            this._applyTaskData(result.task, taskData);
         });
     }
 
+    private _applyTaskData(task: KanbanTask, taskData: any) {
+        // Only update fields that the form actually sends
+        task.title = taskData.title;
+        task.description = taskData.description;
+        task.tags = taskData.tags || [];
+        task.priority = taskData.priority;
+        task.assignees = taskData.assignees?.length ? taskData.assignees : undefined;
+        task.workload = taskData.workload;
+        task.dueDate = taskData.dueDate;
+        task.startDate = taskData.startDate;
+        task.repeat = taskData.repeat || undefined;
+        task.defaultExpanded = taskData.defaultExpanded;
+        task.steps = taskData.steps || [];
+        task.ac = taskData.ac && taskData.ac.length > 0 ? taskData.ac : undefined;
+        task.verify = taskData.verify && taskData.verify.length > 0 ? taskData.verify : undefined;
+        task.files = taskData.files || undefined;
+        task.blockedBy = taskData.blockedBy?.length ? taskData.blockedBy : undefined;
+    }
+
     private updateTaskStep(taskId: string, columnId: string, stepIndex: number, completed: boolean) {
         this.performAction(() => {
-            const result = this.findTask(columnId, taskId);
+            const result = this.findTaskOrSubtask(columnId, taskId);
             if (!result?.task.steps || stepIndex < 0 || stepIndex >= result.task.steps.length) {
                 return;
             }
@@ -342,7 +799,7 @@ export class KanbanWebviewPanel {
 
     private updateChecklistItem(taskId: string, columnId: string, listKey: string, stepIndex: number, completed: boolean) {
         this.performAction(() => {
-            const result = this.findTask(columnId, taskId);
+            const result = this.findTaskOrSubtask(columnId, taskId);
             if (!result) return;
 
             const checklist = (result.task as any)[listKey];
@@ -356,7 +813,7 @@ export class KanbanWebviewPanel {
 
     private reorderTaskSteps(taskId: string, columnId: string, newOrder: number[]) {
         this.performAction(() => {
-            const result = this.findTask(columnId, taskId);
+            const result = this.findTaskOrSubtask(columnId, taskId);
             if (!result?.task.steps) return;
 
             const originalSteps = [...result.task.steps];
@@ -368,14 +825,49 @@ export class KanbanWebviewPanel {
         });
     }
 
+    private addSubtask(taskId: string, columnId: string, title: string) {
+        this.performAction(() => {
+            const result = this.findTask(columnId, taskId);
+            if (!result || !title?.trim()) return;
+
+            result.task.subtasks = result.task.subtasks || [];
+            result.task.subtasks.push({ id: this._getNextTaskId(), title: title.trim(), completed: false });
+        });
+    }
+
+    private toggleSubtask(taskId: string, columnId: string, completed: boolean) {
+        this.performAction(() => {
+            const result = this.findTaskOrSubtask(columnId, taskId);
+            if (!result?.parent) return;
+
+            (result.task as KanbanSubtask).completed = completed;
+        });
+    }
+
+    // Turns a step into a subtask of the same task, keeping its text and checkbox
+    private promoteStep(taskId: string, columnId: string, stepIndex: number) {
+        this.performAction(() => {
+            const result = this.findTask(columnId, taskId);
+            if (!result?.task.steps || stepIndex < 0 || stepIndex >= result.task.steps.length) {
+                return;
+            }
+
+            const [step] = result.task.steps.splice(stepIndex, 1);
+            result.task.subtasks = result.task.subtasks || [];
+            result.task.subtasks.push({ id: this._getNextTaskId(), title: step.text, completed: step.completed });
+        });
+    }
+
     private addColumn(title: string) {
         this.performAction(() => {
             if (!this._board) return;
 
+            const { title: columnTitle, wipLimit } = MarkdownKanbanParser.parseColumnHeading(title);
             const newColumn: KanbanColumn = {
-                id: Math.random().toString(36).substr(2, 9),
-                title: title,
-                tasks: []
+                id: MarkdownKanbanParser.generateColumnId(columnTitle, this._board.columns),
+                title: columnTitle,
+                tasks: [],
+                wipLimit
             };
 
             this._board.columns.push(newColumn);
@@ -392,6 +884,143 @@ export class KanbanWebviewPanel {
         });
     }
 
+    private renameColumn(columnId: string, title: string) {
+        this.performAction(() => {
+            if (!this._board) return;
+
+            const column = this.findColumn(columnId);
+            if (!column || !title?.trim()) return;
+
+            // "Doing (3)" renames the column and sets its WIP limit, like the heading syntax
+            const { title: newTitle, wipLimit } = MarkdownKanbanParser.parseColumnHeading(title);
+            if (!newTitle) return;
+
+            // IDs follow the title, the same way they're derived when the file is parsed
+            const otherColumns = this._board.columns.filter(col => col !== column);
+            const oldId = column.id;
+            column.title = newTitle;
+            column.id = MarkdownKanbanParser.generateColumnId(newTitle, otherColumns);
+            column.wipLimit = wipLimit;
+            if (column.id !== oldId) {
+                this._renameHiddenColumn(oldId, column.id);
+            }
+        });
+    }
+
+    // Hidden columns are kept by ID, so saved views and the open boards follow a renamed column
+    private _renameHiddenColumn(oldId: string, newId: string) {
+        if (this._getSavedViews().views.some(view => view.hiddenColumns?.includes(oldId))) {
+            this._updateSavedViews(state => {
+                for (const view of state.views) {
+                    view.hiddenColumns = (view.hiddenColumns || []).map(id => id === oldId ? newId : id);
+                }
+            });
+        }
+
+        const uri = this._document?.uri.toString();
+        for (const panel of KanbanWebviewPanel._panels) {
+            if (panel._document?.uri.toString() === uri) {
+                panel._panel.webview.postMessage({ type: 'columnRenamed', oldId, newId });
+            }
+        }
+    }
+
+    // A column with tasks is only deleted once its tasks have somewhere to go: another column,
+    // or an archived "Archive" column that is created if the board doesn't have one yet
+    private deleteColumn(columnId: string, moveTasksTo?: string, archiveTasks?: boolean) {
+        this.performAction(() => {
+            if (!this._board) return;
+
+            const column = this.findColumn(columnId);
+            if (!column) return;
+
+            if (column.tasks.length > 0) {
+                let target: KanbanColumn | undefined;
+                if (moveTasksTo) {
+                    target = this.findColumn(moveTasksTo);
+                } else if (archiveTasks) {
+                    target = this._getArchiveColumn(column);
+                }
+                if (!target || target === column) return;
+
+                target.tasks.push(...column.tasks);
+            }
+
+            this._board.columns.splice(this._board.columns.indexOf(column), 1);
+        });
+    }
+
+    // The archived "Archive" column that archived tasks go to, created on first use
+    private _getArchiveColumn(exclude?: KanbanColumn): KanbanColumn {
+        const board = this._board!;
+        let archive = board.columns.find(col => col !== exclude && col.archived && col.title === 'Archive');
+        if (!archive) {
+            archive = {
+                id: MarkdownKanbanParser.generateColumnId('Archive', board.columns),
+                title: 'Archive',
+                tasks: [],
+                archived: true
+            };
+            board.columns.push(archive);
+        }
+        return archive;
+    }
+
+    // Applies one change to every selected task as a single action: one save and one undo step
+    private bulkUpdate(refs: { taskId: string; columnId: string }[], action: string, value?: string) {
+        let entries = refs
+            .map(ref => this.findTask(ref.columnId, ref.taskId))
+            .filter((entry): entry is NonNullable<typeof entry> => !!entry);
+
+        const toColumn = action === 'move' && value ? this.findColumn(value) : undefined;
+        if (action === 'move') {
+            if (!toColumn) return;
+            entries = this._checkBlockersBeforeDone(entries, toColumn);
+        }
+        if (entries.length === 0) {
+            this._update();
+            return;
+        }
+
+        this.performAction(() => {
+            const target = action === 'archive' ? this._getArchiveColumn() : toColumn;
+
+            for (const { task, column } of entries) {
+                switch (action) {
+                    case 'move':
+                    case 'archive':
+                    case 'delete': {
+                        if (column === target) break;
+                        const index = column.tasks.indexOf(task);
+                        column.tasks.splice(index, 1);
+                        if (target) {
+                            target.tasks.push(task);
+                            this._repeatIfCompleted(task, column, target, index);
+                        }
+                        break;
+                    }
+                    case 'priority':
+                        task.priority = (value || undefined) as KanbanTask['priority'];
+                        break;
+                    case 'workload':
+                        task.workload = (value || undefined) as KanbanTask['workload'];
+                        break;
+                    case 'addTag':
+                        if (value && !(task.tags || []).includes(value)) {
+                            task.tags = [...(task.tags || []), value];
+                        }
+                        break;
+                    case 'removeTag':
+                        task.tags = (task.tags || []).filter(tag => tag !== value);
+                        break;
+                    case 'dueDate':
+                        task.dueDate = value || undefined;
+                        break;
+                }
+            }
+        });
+    }
+
     private toggleTaskExpansion(taskId: string) {
         this._panel.webview.postMessage({
             type: 'toggleTaskExpansion',
@@ -408,23 +1037,84 @@ export class KanbanWebviewPanel {
         });
     }
 
-    private async _goToTaskInSource(taskId: string) {
+    // `relativePath` points at another board for cross-file references like `board.md#TSK_12`
+    private async _goToTaskInSource(taskId: string, relativePath?: string) {
+        if (!this._document) return;
+
+        let document = this._document;
+        if (relativePath) {
+            const filePath = this._resolveReferencedPath(relativePath);
+            if (!filePath || !fs.existsSync(filePath)) return;
+            document = await vscode.workspace.openTextDocument(vscode.Uri.file(filePath));
+        }
+        await KanbanWebviewPanel.goToTaskInSource(document, taskId);
+    }
+
+    // Looks up `path.md#TSK_N` references for the webview's task chips
+    private async _resolveTaskRefs(refs: string[]) {
         if (!this._document) return;
 
-        const text = this._document.getText();
-        const lines = text.split('\n');
-        let targetLine = -1;
+        const boards = new Map<string, KanbanBoard | undefined>();
+        const resolved: Record<string, { found: boolean; title?: string; column?: string }> = {};
 
-        for (let i = 0; i < lines.length; i++) {
-            if (lines[i].includes(`### ${taskId}`)) {
-                targetLine = i;
-                break;
+        for (const ref of refs) {
+            const [relativePath, taskId] = String(ref).split('#');
+            const filePath = this._resolveReferencedPath(relativePath);
+            if (filePath && !boards.has(filePath)) {
+                boards.set(filePath, await this._readBoard(filePath));
             }
+
+            const board = filePath ? boards.get(filePath) : undefined;
+            const found = board && KanbanWebviewPanel._findTaskOnBoard(board, taskId);
+            resolved[ref] = found
+                ? { found: true, title: found.task.title, column: found.column.title }
+                : { found: false };
+        }
+
+        this._panel.webview.postMessage({ type: 'taskRefsResolved', refs: resolved });
+    }
+
+    // Referenced boards have to be in the workspace, so a link can't read arbitrary files
+    private _resolveReferencedPath(relativePath: string): string | undefined {
+        if (!this._document) return undefined;
+
+        const filePath = path.resolve(path.dirname(this._document.uri.fsPath), relativePath);
+        if (filePath === path.resolve(this._document.uri.fsPath)) return filePath;
+        return vscode.workspace.getWorkspaceFolder(vscode.Uri.file(filePath)) ? filePath : undefined;
+    }
+
+    private async _readBoard(filePath: string): Promise<KanbanBoard | undefined> {
+        if (this._document && path.resolve(this._document.uri.fsPath) === filePath) {
+            return this._board;
+        }
+        if (!fs.existsSync(filePath)) return undefined;
+
+        try {
+            const document = await vscode.workspace.openTextDocument(vscode.Uri.file(filePath));
+            return MarkdownKanbanParser.parseMarkdown(document.getText());
+        } catch (error) {
+            console.error(`Error reading referenced board ${filePath}:`, error);
+            return undefined;
+        }
+    }
+
+    // Opens the document in a text editor with the task's ID selected
+    public static async goToTaskInSource(document: vscode.TextDocument, taskId: string) {
+        const text = document.getText();
+        const lines = text.split(/\r?\n/);
+        const board = MarkdownKanbanParser.parseMarkdown(text);
+        const tasks = board.columns.flatMap(column => column.tasks);
+        // Subtasks have no source range of their own; look for their heading inside the parent's
+        const task = tasks.find(t => t.id === taskId || t.subtasks?.some(subtask => subtask.id === taskId));
+        let targetLine = task?.sourceRange?.start ?? -1;
+        if (task && task.id !== taskId) {
+            targetLine = lines.findIndex((line, index) =>
+                index >= task.sourceRange!.start && index < task.sourceRange!.end && line.includes(taskId));
         }
 
         if (targetLine === -1) return;
 
-        const editor = await vscode.window.showTextDocument(this._document, {
+        const editor = await vscode.window.showTextDocument(document, {
             viewColumn: vscode.ViewColumn.One,
             preserveFocus: false
         });
@@ -537,7 +1227,7 @@ export class KanbanWebviewPanel {
     }
 
     public dispose() {
-        KanbanWebviewPanel.currentPanel = undefined;
+        KanbanWebviewPanel._panels.delete(this);
         this._panel.dispose();
 
         while (this._disposables.length) {
@@ -1,17 +1,67 @@
+// Zero-based line range in the source document, end exclusive
+export interface SourceRange {
+  start: number;
+  end: number;
+}
+
+// Replaces lines [start, end) of the source document with text
+export interface MarkdownEdit {
+  start: number;
+  end: number;
+  text: string;
+}
+
 export interface KanbanTask {
   id: string;
   title: string;
   description?: string;
   tags?: string[];
   priority?: 'low' | 'medium' | 'high';
+  // Names without the leading '@'
+  assignees?: string[];
   workload?: 'Easy' | 'Normal' | 'Hard' | 'Extreme';
   dueDate?: string;
   startDate?: string;
+  // Recurrence as written, e.g. "every 2 weeks"; see MarkdownKanbanParser.parseRecurrence
+  repeat?: string;
   defaultExpanded?: boolean;
+  // IDs of tasks on the same board that must be done first
+  blockedBy?: string[];
   steps?: Array<{ text: string; completed: boolean }>;
   ac?: Array<{ text: string; completed: boolean }>;
   verify?: Array<{ text: string; completed: boolean }>;
   files?: string;
+  // Time spent on the task, oldest first
+  logged?: TimeEntry[];
+  // Child tasks: "#### [ ] TSK_N: title" headings or "  - [ ] TSK_N: title" nested list items
+  subtasks?: KanbanSubtask[];
+  // Markdown after the task body that the parser does not understand, written back verbatim
+  rawContent?: string;
+  sourceRange?: SourceRange;
+}
+
+// Subtasks live inside their parent's markdown rather than in a column, so they carry their own checkbox
+export interface KanbanSubtask extends KanbanTask {
+  completed: boolean;
+}
+
+// One "- 2025-03-01 09:15 1h 30m" line of a task's **Logged:** section
+export interface TimeEntry {
+  // Local time the work started, "YYYY-MM-DD HH:mm"
+  start: string;
+  minutes: number;
+}
+
+// Where a dragged task lands: next to another card of the target column, by ID
+export interface DropTarget {
+  taskId: string;
+  after: boolean;
+}
+
+// How far a recurring task's dates move for its next instance
+export interface Recurrence {
+  count: number;
+  unit: 'day' | 'week' | 'month' | 'year';
 }
 
 export interface KanbanColumn {
@@ -19,23 +69,120 @@ export interface KanbanColumn {
   title: string;
   tasks: KanbanTask[];
   archived?: boolean;
+  // Work-in-progress limit: "## In Progress (3)" or "## In Progress <!-- wip: 3 -->"
+  wipLimit?: number;
+  // Markdown between the column heading and its first task, written back verbatim
+  rawContent?: string;
+  sourceRange?: SourceRange;
 }
 
 export interface KanbanBoard {
   title: string;
   columns: KanbanColumn[];
   nextId: number;
+  // Markdown before the board title (e.g. front matter), written back verbatim
+  preamble?: string;
+  // Markdown between the board title and the first column, written back verbatim
+  rawContent?: string;
 }
 
 type ChecklistKey = 'steps' | 'ac' | 'verify';
 
+const WORKLOADS: Array<NonNullable<KanbanTask['workload']>> = ['Easy', 'Normal', 'Hard', 'Extreme'];
+
+// Bold "**Label:**" sections of the new task format, in the order generateTaskMarkdown writes them.
+// Inline sections keep their value on the same line; checklist sections are followed by "- [ ]" items
+// and list sections by plain "- " items, which `read` may reject (they are then kept as raw content).
+type TaskSection =
+  | { label: string; kind: 'inline'; read: (task: KanbanTask, value: string) => void; write: (task: KanbanTask) => string | undefined }
+  | { label: string; kind: 'checklist'; key: ChecklistKey }
+  | { label: string; kind: 'list'; read: (task: KanbanTask, item: string) => boolean; write: (task: KanbanTask) => string[] | undefined };
+
+const TASK_SECTIONS: TaskSection[] = [
+  {
+    label: 'Start', kind: 'inline',
+    read: (task, value) => { task.startDate = value; },
+    write: task => task.startDate
+  },
+  {
+    label: 'Due', kind: 'inline',
+    read: (task, value) => { task.dueDate = value; },
+    write: task => task.dueDate
+  },
+  {
+    label: 'Repeat', kind: 'inline',
+    read: (task, value) => { task.repeat = value; },
+    write: task => task.repeat
+  },
+  {
+    label: 'Workload', kind: 'inline',
+    read: (task, value) => { task.workload = WORKLOADS.find(w => w.toLowerCase() === value.toLowerCase()); },
+    write: task => task.workload
+  },
+  {
+    label: 'Expanded', kind: 'inline',
+    read: (task, value) => { task.defaultExpanded = value.toLowerCase() === 'true'; },
+    write: task => task.defaultExpanded ? 'true' : undefined
+  },
+  {
+    label: 'Blocked by', kind: 'inline',
+    read: (task, value) => { task.blockedBy = value.split(',').map(id => id.trim()).filter(id => id !== ''); },
+    write: task => task.blockedBy?.length ? task.blockedBy.join(', ') : undefined
+  },
+  { label: 'Steps', kind: 'checklist', key: 'steps' },
+  { label: 'AC', kind: 'checklist', key: 'ac' },
+  { label: 'Verify', kind: 'checklist', key: 'verify' },
+  {
+    label: 'Files', kind: 'inline',
+    read: (task, value) => { task.files = value; },
+    write: task => task.files
+  },
+  {
+    label: 'Logged', kind: 'list',
+    read: (task, item) => {
+      const entry = MarkdownKanbanParser.parseTimeEntry(item);
+      if (entry) {
+        task.logged = [...(task.logged || []), entry];
+      }
+      return !!entry;
+    },
+    write: task => task.logged?.map(entry => `${entry.start} ${MarkdownKanbanParser.formatDuration(entry.minutes)}`)
+  }
+];
+
+// The largest WIP limit written as a "(N)" heading suffix
+const MAX_WIP_SUFFIX = 99;
+
+const NEXT_ID_PATTERN = /^<!--\s*next-id:\s*\d+\s*-->$/;
+
+const TIME_ENTRY_PATTERN = /^(\d{4}-\d{2}-\d{2} \d{2}:\d{2})\s+(?=\d)(?:(\d+)h)?\s*(?:(\d+)m)?$/;
+
+// "#### [ ] TSK_N: title" — the checkbox or the ID sets it apart from an ordinary #### heading
+const SUBTASK_HEADING_PATTERN = /^####\s+(?:\[([ xX])\]\s+)?(?:(TSK[_-]\d+):?\s+)?(.+)$/;
+// "  - [ ] TSK_N: title" directly under a "- " task. Deeper items, and ones without the checkbox
+// or the ID, are ordinary bullets of the description or of a legacy property list
+const SUBTASK_LIST_PATTERN = /^( {2})-\s+\[([ xX])\]\s+(TSK[_-]\d+):?\s+(.+)$/;
+
+const TASK_SECTION_PATTERN = new RegExp(`^\\*\\*(${TASK_SECTIONS.map(section => section.label).join('|')}):\\*\\*\\s*(.*)$`, 'i');
+
+// Anything that can own unrecognised markdown lines
+type RawContentOwner = { rawContent?: string };
+
+// A contiguous slice of the document that is rewritten as a whole when it changes
+interface MarkdownChunk {
+  key: string;
+  text: string;
+  range?: SourceRange;
+  persisted?: boolean;
+}
+
 export class MarkdownKanbanParser {
   private static generateId(): string {
     return Math.random().toString(36).substr(2, 9);
   }
 
   static parseMarkdown(content: string): KanbanBoard {
-    const lines = content.replace(/\r\n/g, '\n').replace(/\r/g, '\n').split('\n');
+    const lines = this.splitLines(content);
     const board: KanbanBoard = {
       title: '',
       columns: [],
@@ -48,64 +195,125 @@ export class MarkdownKanbanParser {
       board.nextId = parseInt(counterMatch[1]);
     }
 
+    // Boards written with ### task headings may contain ordinary bullet lists in their prose,
+    // so root-level "- " lines only start tasks when no ### task heading is present.
+    const allowListTasks = !this.hasTitleTasks(lines);
+
     let currentColumn: KanbanColumn | null = null;
     let currentTask: KanbanTask | null = null;
+    // The last top-level task of the column; #### and nested list subtasks attach to it
+    let rootTask: KanbanTask | null = null;
+    // Nested list subtasks only go under a "- " task, not a ### heading
+    let rootIsListItem = false;
+    // Indentation of the list marker when the current subtask is a nested list item
+    let subtaskIndent: number | null = null;
     let inTaskBody = false;
-    let inCodeBlock = false;
     let activeListKey: ChecklistKey | null = null;
+    let activeListSection: Extract<TaskSection, { kind: 'list' }> | null = null;
     let collectingDescription = false;
+    let pendingDescriptionBlanks = 0;
+    let expectingMetadata = false;
+
+    // Unrecognised lines are collected verbatim and attached to the nearest board, column or task
+    const preambleOwner: RawContentOwner = {};
+    let rawOwner: RawContentOwner = preambleOwner;
+    let rawLines: string[] = [];
+    const flushRawLines = () => {
+      this.appendRawContent(rawOwner, rawLines);
+      rawLines = [];
+    };
+    const setRawOwner = (owner: RawContentOwner) => {
+      flushRawLines();
+      rawOwner = owner;
+    };
+    const finalizeTask = () => {
+      this.finalizeCurrentTask(currentTask, currentColumn, currentTask !== rootTask ? rootTask : null);
+    };
+    // Body lines of a nested list subtask are indented under its marker
+    const unindentBodyLine = (text: string) =>
+      subtaskIndent === null ? text : text.replace(new RegExp(`^ {0,${subtaskIndent + 2}}`), '');
+    const appendDescription = (task: KanbanTask, text: string) => {
+      const blanks = task.description ? '\n'.repeat(pendingDescriptionBlanks) : '';
+      task.description = task.description
+        ? task.description + '\n' + blanks + text
+        : text;
+      pendingDescriptionBlanks = 0;
+    };
 
     for (let i = 0; i < lines.length; i++) {
       const line = lines[i];
       const trimmedLine = line.trim();
 
-      // Skip HTML comment lines (e.g. <!-- next-id: N -->)
+      // The next-id counter is regenerated on save; other comments are kept verbatim
+      if (NEXT_ID_PATTERN.test(trimmedLine)) {
+        continue;
+      }
       if (trimmedLine.startsWith('<!--') && trimmedLine.endsWith('-->')) {
+        rawLines.push(line);
         continue;
       }
 
-      // Track code blocks
+      // Code blocks are never parsed: keep them in the description or as raw content
       if (trimmedLine.startsWith('```')) {
-        inCodeBlock = !inCodeBlock;
-        continue;
-      }
-      if (inCodeBlock) {
+        const blockEnd = this.findCodeBlockEnd(lines, i);
+        const blockLines = lines.slice(i, blockEnd + 1);
+        i = blockEnd;
+
+        if (currentTask && inTaskBody && collectingDescription && !activeListKey) {
+          appendDescription(currentTask, blockLines.map(unindentBodyLine).join('\n'));
+          continue;
+        }
+        // OLD FORMAT: an indented ```md block under the properties is the task description
+        if (currentTask && inTaskBody && line.match(/^\s+```(md|markdown)\s*$/)) {
+          const isClosed = blockLines.length > 1 && blockLines[blockLines.length - 1].trim().startsWith('```');
+          appendDescription(currentTask, this.dedent(blockLines.slice(1, isClosed ? -1 : undefined)).join('\n'));
+          activeListKey = null;
+          continue;
+        }
+        if (currentTask && inTaskBody) {
+          finalizeTask();
+          inTaskBody = false;
+          activeListKey = null;
+          collectingDescription = false;
+        }
+        rawLines.push(...blockLines);
         continue;
       }
 
       // Parse board title
-      if (trimmedLine.startsWith('# ') && !board.title) {
+      if (trimmedLine.startsWith('# ') && !board.title && !currentColumn) {
         board.title = trimmedLine.substring(2).trim();
-        this.finalizeCurrentTask(currentTask, currentColumn);
-        currentTask = null;
-        inTaskBody = false;
-        activeListKey = null;
-        collectingDescription = false;
+        setRawOwner(board);
         continue;
       }
 
       // Parse column title
       if (trimmedLine.startsWith('## ')) {
-        this.finalizeCurrentTask(currentTask, currentColumn);
+        if (inTaskBody) {
+          finalizeTask();
+        }
+        this.closeSourceRange(rootTask, i);
         currentTask = null;
+        rootTask = null;
+        subtaskIndent = null;
         if (currentColumn) {
+          this.closeSourceRange(currentColumn, i);
           board.columns.push(currentColumn);
         }
 
-        let columnTitle = trimmedLine.substring(3).trim();
-        let isArchived = false;
-
-        if (columnTitle.endsWith('[Archived]')) {
-          isArchived = true;
-          columnTitle = columnTitle.replace(/\s*\[Archived\]$/, '').trim();
-        }
+        const { title: columnTitle, archived, wipLimit } = this.parseColumnHeading(trimmedLine.substring(3));
 
         currentColumn = {
-          id: this.generateId(),
+          id: this.generateColumnId(columnTitle, board.columns),
           title: columnTitle,
           tasks: [],
-          archived: isArchived
+          archived: archived,
+          sourceRange: { start: i, end: lines.length }
         };
+        if (wipLimit !== undefined) {
+          currentColumn.wipLimit = wipLimit;
+        }
+        setRawOwner(currentColumn);
         inTaskBody = false;
         activeListKey = null;
         collectingDescription = false;
@@ -113,50 +321,110 @@ export class MarkdownKanbanParser {
       }
 
       // Parse task title (### format or - format)
-      if (this.isTaskTitle(line, trimmedLine)) {
-        this.finalizeCurrentTask(currentTask, currentColumn);
+      if (currentColumn && this.isTaskTitle(line, trimmedLine, allowListTasks)) {
+        if (inTaskBody) {
+          finalizeTask();
+        }
+        this.closeSourceRange(rootTask, i);
 
-        if (currentColumn) {
-          let taskTitle = '';
+        let taskTitle = '';
 
-          if (trimmedLine.startsWith('### ')) {
-            taskTitle = trimmedLine.substring(4).trim();
-          } else {
-            taskTitle = trimmedLine.substring(2).trim();
-            if (taskTitle.startsWith('[ ] ') || taskTitle.startsWith('[x] ')) {
-              taskTitle = taskTitle.substring(4).trim();
-            }
+        if (trimmedLine.startsWith('### ')) {
+          taskTitle = trimmedLine.substring(4).trim();
+        } else {
+          taskTitle = trimmedLine.substring(2).trim();
+          if (taskTitle.startsWith('[ ] ') || taskTitle.startsWith('[x] ')) {
+            taskTitle = taskTitle.substring(4).trim();
           }
+        }
 
-          // New format: extract TSK_N prefix from title
-          const tskMatch = taskTitle.match(/^(TSK[_-]\d+):?\s+(.*)$/);
+        // New format: extract TSK_N prefix from title
+        const tskMatch = taskTitle.match(/^(TSK[_-]\d+):?\s+(.*)$/);
 
-          currentTask = {
-            id: tskMatch ? tskMatch[1] : this.generateId(),
-            title: tskMatch ? tskMatch[2] : taskTitle,
-            description: ''
-          };
-          inTaskBody = true;
-          activeListKey = null;
-          collectingDescription = false;
+        currentTask = {
+          id: tskMatch ? tskMatch[1] : this.generateId(),
+          title: tskMatch ? tskMatch[2] : taskTitle,
+          description: '',
+          sourceRange: { start: i, end: lines.length }
+        };
+        rootTask = currentTask;
+        rootIsListItem = !trimmedLine.startsWith('### ');
+        subtaskIndent = null;
+        activeListSection = null;
+        setRawOwner(currentTask);
+        inTaskBody = true;
+        activeListKey = null;
+        // The description may follow the title directly when a task has no tags or priority
+        collectingDescription = true;
+        pendingDescriptionBlanks = 0;
+        expectingMetadata = true;
+        continue;
+      }
+
+      // Subtask of the current top-level task (#### heading or nested list item)
+      // A nested item starts a subtask right after its parent's title, after another subtask or after
+      // a blank line; one that continues the parent's description or step list stays part of it
+      const subtaskHeading = rootTask ? trimmedLine.match(SUBTASK_HEADING_PATTERN) : null;
+      const listSubtaskAllowed = !!rootTask && rootIsListItem && !subtaskHeading &&
+        (currentTask !== rootTask || rootTask.sourceRange?.start === i - 1 || lines[i - 1].trim() === '');
+      const subtaskItem = listSubtaskAllowed ? line.match(SUBTASK_LIST_PATTERN) : null;
+      if (subtaskHeading && (subtaskHeading[1] || subtaskHeading[2]) || subtaskItem) {
+        if (inTaskBody) {
+          finalizeTask();
         }
+
+        const [checkbox, id, title] = subtaskHeading ? subtaskHeading.slice(1) : subtaskItem!.slice(2);
+        const subtask: KanbanSubtask = {
+          id: id || this.generateId(),
+          title: title.trim(),
+          description: '',
+          completed: checkbox?.toLowerCase() === 'x'
+        };
+        currentTask = subtask;
+        subtaskIndent = subtaskItem ? subtaskItem[1].length : null;
+        activeListSection = null;
+        setRawOwner(currentTask);
+        inTaskBody = true;
+        activeListKey = null;
+        collectingDescription = true;
+        pendingDescriptionBlanks = 0;
+        expectingMetadata = true;
         continue;
       }
 
+      // A line back at (or left of) a nested subtask's marker ends that subtask
+      if (currentTask && inTaskBody && subtaskIndent !== null && trimmedLine !== '' &&
+          line.match(/^\s*/)![0].length <= subtaskIndent) {
+        finalizeTask();
+        inTaskBody = false;
+        activeListKey = null;
+        collectingDescription = false;
+      }
+
       // Inside a task body — parse properties, metadata, sections
       if (currentTask && inTaskBody) {
-        // Empty line — reset description collection but stay in task
+        // Empty line — remember it so paragraphs inside the description survive
         if (trimmedLine === '') {
-          // If we were collecting description and hit empty line before a section,
-          // just continue (allow blank lines in description area)
+          if (collectingDescription && currentTask.description) {
+            pendingDescriptionBlanks++;
+          }
           continue;
         }
 
+        // Only the first line of the body can be metadata; later blockquotes belong to the description
+        const isFirstBodyLine = expectingMetadata;
+        expectingMetadata = false;
+
         // === NEW FORMAT: Blockquote metadata line ===
-        // > tags | priority
-        if (trimmedLine.startsWith('> ')) {
+        // > tags | priority | @assignees — the assignee part can sit in any position
+        if (isFirstBodyLine && trimmedLine.startsWith('> ')) {
           const metaContent = trimmedLine.substring(2).trim();
           const parts = metaContent.split('|').map(p => p.trim());
+          const assigneesIndex = parts.findIndex(part => this.isAssigneeList(part));
+          if (assigneesIndex !== -1) {
+            currentTask.assignees = parts.splice(assigneesIndex, 1)[0]
+              .split(',').map(name => name.trim().substring(1)).filter(name => name !== '');
+          }
           const tagsPart = parts[0];
           const priorityPart = parts.length > 1 ? parts[1] : null;
 
@@ -172,31 +440,33 @@ export class MarkdownKanbanParser {
         }
 
         // === NEW FORMAT: Bold section headers ===
-        // **AC:** / **Verify:** / **Steps:** / **Files:**
-        const boldSectionMatch = trimmedLine.match(/^\*\*(AC|Verify|Steps|Files):\*\*\s*(.*)$/i);
-        if (boldSectionMatch) {
+        // **Due:** 2025-01-31 / **Steps:** / **AC:** / **Files:** ... (see TASK_SECTIONS)
+        const sectionMatch = trimmedLine.match(TASK_SECTION_PATTERN);
+        if (sectionMatch) {
           collectingDescription = false;
-          const sectionName = boldSectionMatch[1].toLowerCase();
-          const inlineValue = boldSectionMatch[2].trim();
+          const section = TASK_SECTIONS.find(s => s.label.toLowerCase() === sectionMatch[1].toLowerCase())!;
+          const inlineValue = sectionMatch[2].trim();
 
-          if (sectionName === 'files') {
-            if (inlineValue) {
-              currentTask.files = inlineValue;
+          activeListSection = section.kind === 'list' ? section : null;
+          if (section.kind === 'checklist') {
+            currentTask[section.key] = currentTask[section.key] || [];
+            activeListKey = section.key;
+          } else {
+            if (section.kind === 'inline' && inlineValue) {
+              section.read(currentTask, inlineValue);
             }
             activeListKey = null;
-          } else if (sectionName === 'ac') {
-            currentTask.ac = currentTask.ac || [];
-            activeListKey = 'ac';
-          } else if (sectionName === 'verify') {
-            currentTask.verify = currentTask.verify || [];
-            activeListKey = 'verify';
-          } else if (sectionName === 'steps') {
-            currentTask.steps = currentTask.steps || [];
-            activeListKey = 'steps';
           }
           continue;
         }
 
+        // === NEW FORMAT: List section items ===
+        // - 2025-03-01 09:15 1h 30m
+        const listItemMatch = trimmedLine.match(/^-\s+(.*)$/);
+        if (listItemMatch && activeListSection && !activeListKey && activeListSection.read(currentTask, listItemMatch[1].trim())) {
+          continue;
+        }
+
         // === NEW FORMAT: Checklist items (normal indentation) ===
         // - [ ] item or - [x] item
         const checklistMatch = trimmedLine.match(/^-\s+\[([ x])\]\s+(.*)$/);
@@ -232,48 +502,48 @@ export class MarkdownKanbanParser {
         // Image markdown syntax as inline description
         const imageMatch = trimmedLine.match(/^!\[.*\]\(.*\)/);
         if (imageMatch) {
-          currentTask.description = currentTask.description
-            ? currentTask.description + '\n' + trimmedLine
-            : trimmedLine;
+          appendDescription(currentTask, trimmedLine);
           continue;
         }
 
         // === NEW FORMAT: Description paragraph ===
         // Collect plain text lines as description (between metadata blockquote and first bold section)
         if (collectingDescription && !activeListKey) {
-          currentTask.description = currentTask.description
-            ? currentTask.description + '\n' + trimmedLine
-            : trimmedLine;
+          appendDescription(currentTask, unindentBodyLine(line.trimEnd()));
           continue;
         }
 
         // OLD FORMAT: Continuation lines for desc: (indented lines)
         if (currentTask.description !== undefined && line.match(/^\s{4,}/) && trimmedLine !== '') {
-          currentTask.description = currentTask.description
-            ? currentTask.description + '\n' + trimmedLine
-            : trimmedLine;
+          appendDescription(currentTask, trimmedLine);
           continue;
         }
 
-        // Unrecognized line inside task body — finalize task and re-process line
-        this.finalizeCurrentTask(currentTask, currentColumn);
-        currentTask = null;
+        // Unrecognized line inside task body — finalize task and keep the rest as its raw content
+        finalizeTask();
         inTaskBody = false;
         activeListKey = null;
         collectingDescription = false;
-        i--;
       }
+
+      rawLines.push(line);
     }
 
     // Add last task and column
-    this.finalizeCurrentTask(currentTask, currentColumn);
+    if (inTaskBody) {
+      finalizeTask();
+    }
+    flushRawLines();
     if (currentColumn) {
       board.columns.push(currentColumn);
     }
+    if (preambleOwner.rawContent) {
+      board.preamble = preambleOwner.rawContent;
+    }
 
     // Auto-assign TSK_N IDs to tasks that don't have one yet (uses counter, no scanning)
     for (const column of board.columns) {
-      for (const task of column.tasks) {
+      for (const task of column.tasks.flatMap(task => [task, ...(task.subtasks || [])])) {
         if (!task.id.match(/^TSK[_-]\d+$/)) {
           task.id = `TSK_${board.nextId}`;
           board.nextId++;
@@ -284,7 +554,215 @@ export class MarkdownKanbanParser {
     return board;
   }
 
-  private static isTaskTitle(line: string, trimmedLine: string): boolean {
+  /**
+   * Splits a column heading (without the "## ") into its title, archived marker and WIP limit.
+   * Also used for titles typed on the board, so "Doing (3)" sets a limit there too.
+   */
+  static parseColumnHeading(heading: string): { title: string; archived: boolean; wipLimit?: number } {
+    let title = heading.trim();
+    let archived = false;
+    let wipLimit: number | undefined;
+
+    const wipCommentMatch = title.match(/\s*<!--\s*wip:\s*(\d+)\s*-->$/i);
+    if (wipCommentMatch) {
+      wipLimit = parseInt(wipCommentMatch[1], 10) || undefined;
+      title = title.substring(0, wipCommentMatch.index).trim();
+    }
+
+    if (title.endsWith('[Archived]')) {
+      archived = true;
+      title = title.replace(/\s*\[Archived\]$/, '').trim();
+    }
+
+    // Up to two digits, so titles like "Release (2024)" or "Sprint (100)" keep their number;
+    // larger limits are written as a comment
+    const wipSuffixMatch = title.match(/\s*\(([1-9]\d?)\)$/);
+    if (wipSuffixMatch && wipLimit === undefined) {
+      wipLimit = parseInt(wipSuffixMatch[1], 10);
+      title = title.substring(0, wipSuffixMatch.index).trim();
+    }
+
+    return { title, archived, wipLimit };
+  }
+
+  /**
+   * Reads a task's **Repeat:** value: "every 2 weeks", "every month", or "daily", "weekly",
+   * "monthly", "yearly". Returns undefined for anything else.
+   */
+  static parseRecurrence(text: string): Recurrence | undefined {
+    const value = text.trim().toLowerCase();
+    const shorthand: Record<string, Recurrence['unit']> = { daily: 'day', weekly: 'week', monthly: 'month', yearly: 'year' };
+    if (shorthand[value]) {
+      return { count: 1, unit: shorthand[value] };
+    }
+
+    const match = value.match(/^every\s+(?:(\d+)\s+)?(day|week|month|year)s?$/);
+    if (!match || match[1] === '0') return undefined;
+    return { count: match[1] ? parseInt(match[1], 10) : 1, unit: match[2] as Recurrence['unit'] };
+  }
+
+  /**
+   * Moves a YYYY-MM-DD date on by one recurrence. Months and years keep the day of the
+   * month where they can and fall back to the month's last day (Jan 31 + 1 month = Feb 28).
+   */
+  static advanceDate(date: string, { count, unit }: Recurrence): string | undefined {
+    const match = date.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (!match) return undefined;
+
+    const [year, month, day] = match.slice(1).map(Number);
+    if (unit === 'day' || unit === 'week') {
+      const next = new Date(Date.UTC(year, month - 1, day + count * (unit === 'week' ? 7 : 1)));
+      return next.toISOString().substring(0, 10);
+    }
+
+    const next = new Date(Date.UTC(year, month - 1 + count * (unit === 'year' ? 12 : 1), 1));
+    const lastDay = new Date(Date.UTC(next.getUTCFullYear(), next.getUTCMonth() + 1, 0)).getUTCDate();
+    next.setUTCDate(Math.min(day, lastDay));
+    return next.toISOString().substring(0, 10);
+  }
+
+  /**
+   * The next instance of a finished recurring task: new IDs from `nextId`, dates moved on and
+   * checklists unticked. Logged time, blockers and unparsed markdown stay with the finished one.
+   */
+  static createNextOccurrence(task: KanbanTask, recurrence: Recurrence, nextId: () => string): KanbanTask {
+    const advance = (date?: string) => date && (this.advanceDate(date, recurrence) || date);
+    const reset = <T extends { completed: boolean }>(items?: T[]) => items?.map(item => ({ ...item, completed: false }));
+    const renew = <T extends KanbanTask>(source: T): T => ({
+      ...source,
+      id: nextId(),
+      steps: reset(source.steps),
+      ac: reset(source.ac),
+      verify: reset(source.verify),
+      logged: undefined,
+      blockedBy: undefined,
+      rawContent: undefined,
+      sourceRange: undefined
+    });
+
+    const next = renew(task);
+    next.dueDate = advance(task.dueDate);
+    next.startDate = advance(task.startDate);
+    next.subtasks = task.subtasks?.map(subtask => ({ ...renew(subtask), completed: false }));
+    return next;
+  }
+
+  // "2025-03-01 09:15 1h 30m" → { start: '2025-03-01 09:15', minutes: 90 }
+  static parseTimeEntry(text: string): TimeEntry | undefined {
+    const match = text.match(TIME_ENTRY_PATTERN);
+    if (!match || (!match[2] && !match[3])) return undefined;
+    return { start: match[1], minutes: parseInt(match[2] || '0', 10) * 60 + parseInt(match[3] || '0', 10) };
+  }
+
+  // Whole minutes only, so a run under a minute gives no entry; the start is local time
+  static createTimeEntry(start: Date, end: Date): TimeEntry | undefined {
+    const minutes = Math.floor((end.getTime() - start.getTime()) / 60000);
+    if (minutes <= 0) return undefined;
+
+    const pad = (value: number) => String(value).padStart(2, '0');
+    return {
+      start: `${start.getFullYear()}-${pad(start.getMonth() + 1)}-${pad(start.getDate())} ${pad(start.getHours())}:${pad(start.getMinutes())}`,
+      minutes
+    };
+  }
+
+  // 90 → "1h 30m", 45 → "45m", 120 → "2h"
+  static formatDuration(minutes: number): string {
+    const hours = Math.floor(minutes / 60);
+    const rest = minutes % 60;
+    if (hours === 0) return `${rest}m`;
+    return rest === 0 ? `${hours}h` : `${hours}h ${rest}m`;
+  }
+
+  /**
+   * Index in `tasks` (which no longer holds the moved task) to insert a dropped task at. Without
+   * a target, or when the card has gone in the meantime, the task goes to the end.
+   */
+  static getDropIndex(tasks: KanbanTask[], target?: DropTarget): number {
+    const index = target ? tasks.findIndex(task => task.id === target.taskId) : -1;
+    if (!target || index === -1) return tasks.length;
+    return target.after ? index + 1 : index;
+  }
+
+  /**
+   * Column IDs are derived from the heading so they stay the same across reloads and
+   * external edits. Repeated titles get a numeric suffix in document order.
+   */
+  static generateColumnId(title: string, existingColumns: KanbanColumn[]): string {
+    const slug = title
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}]+/gu, '-')
+      .replace(/^-+|-+$/g, '') || 'column';
+
+    const existingIds = new Set(existingColumns.map(column => column.id));
+    let id = slug;
+    for (let n = 2; existingIds.has(id); n++) {
+      id = `${slug}-${n}`;
+    }
+    return id;
+  }
+
+  private static splitLines(content: string): string[] {
+    const lines = content.replace(/\r\n/g, '\n').replace(/\r/g, '\n').split('\n');
+    // A trailing newline terminates the last line rather than starting an empty one
+    if (lines.length > 0 && lines[lines.length - 1] === '') {
+      lines.pop();
+    }
+    return lines;
+  }
+
+  private static closeSourceRange(item: { sourceRange?: SourceRange } | null, end: number): void {
+    if (item?.sourceRange) {
+      item.sourceRange.end = end;
+    }
+  }
+
+  private static hasTitleTasks(lines: string[]): boolean {
+    for (let i = 0; i < lines.length; i++) {
+      if (lines[i].trim().startsWith('```')) {
+        i = this.findCodeBlockEnd(lines, i);
+      } else if (lines[i].trim().startsWith('### ')) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  // "@alice, @bob" — every comma-separated entry is an @mention
+  private static isAssigneeList(part: string): boolean {
+    const entries = part.split(',').map(entry => entry.trim()).filter(entry => entry !== '');
+    return entries.length > 0 && entries.every(entry => /^@[^\s@,|]+$/.test(entry));
+  }
+
+  // Returns the index of the closing fence, or the last line if the block is never closed
+  private static findCodeBlockEnd(lines: string[], start: number): number {
+    for (let i = start + 1; i < lines.length; i++) {
+      if (lines[i].trim().startsWith('```')) {
+        return i;
+      }
+    }
+    return lines.length - 1;
+  }
+
+  private static dedent(lines: string[]): string[] {
+    const indents = lines.filter(line => line.trim() !== '').map(line => line.match(/^\s*/)![0].length);
+    const indent = indents.length > 0 ? Math.min(...indents) : 0;
+    return lines.map(line => line.substring(indent).trimEnd());
+  }
+
+  private static appendRawContent(owner: RawContentOwner, lines: string[]): void {
+    // Surrounding blank lines are layout, not content — generateMarkdown adds its own
+    let start = 0;
+    let end = lines.length;
+    while (start < end && lines[start].trim() === '') start++;
+    while (end > start && lines[end - 1].trim() === '') end--;
+    if (start === end) return;
+
+    const text = lines.slice(start, end).join('\n');
+    owner.rawContent = owner.rawContent ? owner.rawContent + '\n\n' + text : text;
+  }
+
+  private static isTaskTitle(line: string, trimmedLine: string, allowListTasks: boolean): boolean {
     // Exclude old-format property lines and step items
     if (line.startsWith('- ') &&
         (trimmedLine.match(/^\s*- (id|due|tags|priority|workload|steps|defaultExpanded|desc|ac|verify|files):/) ||
@@ -298,11 +776,16 @@ export class MarkdownKanbanParser {
     }
 
     // Exclude bold section headers
-    if (trimmedLine.match(/^\*\*(AC|Verify|Steps|Files):\*\*/i)) {
+    if (TASK_SECTION_PATTERN.test(trimmedLine)) {
+      return false;
+    }
+
+    // Exclude logged time entries
+    if (trimmedLine.startsWith('- ') && TIME_ENTRY_PATTERN.test(trimmedLine.substring(2).trim())) {
       return false;
     }
 
-    return (line.startsWith('- ') && !line.startsWith('  ')) ||
+    return (allowListTasks && line.startsWith('- ') && !line.startsWith('  ')) ||
            trimmedLine.startsWith('### ');
   }
 
@@ -381,7 +864,8 @@ export class MarkdownKanbanParser {
     return true;
   }
 
-  private static finalizeCurrentTask(task: KanbanTask | null, column: KanbanColumn | null): void {
+  // Subtasks are added to their parent instead of the column
+  private static finalizeCurrentTask(task: KanbanTask | null, column: KanbanColumn | null, parent: KanbanTask | null = null): void {
     if (!task || !column) return;
 
     if (task.description) {
@@ -390,92 +874,361 @@ export class MarkdownKanbanParser {
         delete task.description;
       }
     }
-    column.tasks.push(task);
+    if (parent) {
+      parent.subtasks = parent.subtasks || [];
+      parent.subtasks.push(task as KanbanSubtask);
+    } else {
+      column.tasks.push(task);
+    }
   }
 
   static generateMarkdown(board: KanbanBoard, taskHeaderFormat: 'title' | 'list' = 'title'): string {
-    let markdown = `<!-- next-id: ${board.nextId} -->\n`;
+    let markdown = this.generateHeaderMarkdown(board);
+
+    for (const column of board.columns) {
+      markdown += this.generateColumnHeaderMarkdown(column);
+
+      for (const task of column.tasks) {
+        markdown += this.generateTaskMarkdown(task, taskHeaderFormat);
+      }
+    }
+    return markdown;
+  }
+
+  /**
+   * Computes the line replacements that turn `content` into a document for `board`.
+   * Tasks and column headings whose markdown did not change keep their original text,
+   * so only the parts of the file touched by a board action are rewritten.
+   */
+  static generateEdits(content: string, board: KanbanBoard, taskHeaderFormat: 'title' | 'list' = 'title'): MarkdownEdit[] {
+    const lines = this.splitLines(content);
+    const source = this.parseMarkdown(content);
+    const headerEnd = source.columns.length > 0 ? source.columns[0].sourceRange!.start : lines.length;
+    const counterLine = lines.findIndex(line => NEXT_ID_PATTERN.test(line.trim()));
+
+    // A counter outside the header (e.g. at the end of the file) is updated where it is. It is left
+    // out of the chunks, so rewriting the task around it can neither drop nor duplicate it.
+    if (counterLine >= headerEnd) {
+      const otherLines = lines.filter((_, i) => i !== counterLine);
+      const otherContent = otherLines.join('\n') + (/\n$/.test(content) ? '\n' : '');
+      const edits = this.generateChunkEdits(otherContent, board, taskHeaderFormat, false);
+      return this.restoreCounterLine(edits, lines, counterLine, board.nextId);
+    }
+    return this.generateChunkEdits(content, board, taskHeaderFormat, true);
+  }
+
+  // Maps edits made without the counter line back onto the full document and updates the counter
+  private static restoreCounterLine(edits: MarkdownEdit[], lines: string[], counterLine: number, nextId: number): MarkdownEdit[] {
+    const counterText = `<!-- next-id: ${nextId} -->\n`;
+    let counterWritten = false;
+
+    const mapped = edits.map(({ start, end, text }) => {
+      // Text inserted where the counter was, or replacing lines around it, is written before it
+      if (start === counterLine && end === counterLine || start < counterLine && end > counterLine) {
+        counterWritten = true;
+        return { start, end: end + 1, text: text + counterText };
+      }
+      return {
+        start: start < counterLine ? start : start + 1,
+        end: end <= counterLine ? end : end + 1,
+        text
+      };
+    });
+
+    if (!counterWritten && lines[counterLine] + '\n' !== counterText) {
+      mapped.push({ start: counterLine, end: counterLine + 1, text: counterText });
+    }
+    return mapped.sort((a, b) => a.start - b.start);
+  }
+
+  private static generateChunkEdits(content: string, board: KanbanBoard, taskHeaderFormat: 'title' | 'list', withCounter: boolean): MarkdownEdit[] {
+    const lines = this.splitLines(content);
+    const source = this.parseMarkdown(content);
+    const sourceChunks = this.getSourceChunks(source, lines, taskHeaderFormat, withCounter);
+    const targetChunks = this.getBoardChunks(board, taskHeaderFormat, withCounter);
+
+    // Map every target chunk to an unchanged source chunk it can reuse
+    const used = new Set<number>();
+    const matches = targetChunks.map(chunk => {
+      const index = sourceChunks.findIndex((candidate, j) =>
+        !used.has(j) && candidate.persisted !== false && candidate.key === chunk.key && candidate.text === chunk.text
+      );
+      if (index !== -1) {
+        used.add(index);
+      }
+      return index;
+    });
+
+    // Chunks that keep their relative order stay in place; everything between them is replaced
+    const anchors = this.longestIncreasingSubsequence(matches);
+    const edits: MarkdownEdit[] = [];
+    let gapStart = 0;
+    let gapText = '';
+
+    const pushGap = (gapEnd: number) => {
+      // Keep a blank line between the text before the gap and what is written into it
+      if (gapText && gapStart > 0 && lines[gapStart - 1].trim() !== '') {
+        gapText = '\n' + gapText;
+      }
+      const edit = this.trimEdit(lines, { start: gapStart, end: gapEnd, text: gapText });
+      if (edit) {
+        edits.push(edit);
+      }
+      gapText = '';
+    };
+
+    targetChunks.forEach((chunk, i) => {
+      if (anchors.has(i)) {
+        const range = sourceChunks[matches[i]].range!;
+        pushGap(range.start);
+        gapStart = range.end;
+      } else if (matches[i] !== -1) {
+        // Moved but unchanged: carry the original text along
+        const range = sourceChunks[matches[i]].range!;
+        gapText += this.ensureBlankLineAfter(lines.slice(range.start, range.end).join('\n') + '\n');
+      } else {
+        gapText += chunk.text;
+      }
+    });
+    pushGap(lines.length);
+
+    // Without a final newline, text inserted at the end must start on a new line
+    if (!/\n$/.test(content) && content !== '') {
+      for (const edit of edits) {
+        if (edit.start === lines.length && edit.text) {
+          edit.text = '\n' + edit.text;
+        }
+      }
+    }
+
+    return edits;
+  }
+
+  private static generateHeaderMarkdown(board: KanbanBoard, withCounter = true): string {
+    let markdown = '';
+
+    if (board.preamble) {
+      markdown += `${board.preamble}\n\n`;
+    }
+
+    if (withCounter) {
+      markdown += `<!-- next-id: ${board.nextId} -->\n`;
+    }
 
     if (board.title) {
       markdown += `# ${board.title}\n\n`;
     }
 
+    if (board.rawContent) {
+      markdown += `${board.rawContent}\n\n`;
+    }
+    return markdown;
+  }
+
+  private static generateColumnHeaderMarkdown(column: KanbanColumn): string {
+    const wipLimit = column.wipLimit || 0;
+    const wipSuffix = wipLimit > 0 && wipLimit <= MAX_WIP_SUFFIX ? ` (${wipLimit})` : '';
+    const wipComment = wipLimit > MAX_WIP_SUFFIX ? ` <!-- wip: ${wipLimit} -->` : '';
+    const columnTitle = `${column.title}${wipSuffix}${column.archived ? ' [Archived]' : ''}${wipComment}`;
+    let markdown = `## ${columnTitle}\n\n`;
+
+    if (column.rawContent) {
+      markdown += `${column.rawContent}\n\n`;
+    }
+    return markdown;
+  }
+
+  private static getBoardChunks(board: KanbanBoard, taskHeaderFormat: 'title' | 'list', withCounter: boolean): MarkdownChunk[] {
+    const chunks: MarkdownChunk[] = [{ key: 'header', text: this.generateHeaderMarkdown(board, withCounter) }];
+
+    for (const column of board.columns) {
+      const headerText = this.generateColumnHeaderMarkdown(column);
+      chunks.push({ key: `column:${headerText}`, text: headerText });
+
+      for (const task of column.tasks) {
+        chunks.push({ key: `task:${task.id}`, text: this.generateTaskMarkdown(task, taskHeaderFormat) });
+      }
+    }
+    return chunks;
+  }
+
+  // Same chunks as getBoardChunks, annotated with where each one sits in the parsed source
+  private static getSourceChunks(board: KanbanBoard, lines: string[], taskHeaderFormat: 'title' | 'list', withCounter: boolean): MarkdownChunk[] {
+    const chunks = this.getBoardChunks(board, taskHeaderFormat, withCounter);
+    let index = 0;
+
+    const firstColumn = board.columns[0];
+    const header = chunks[index++];
+    header.range = { start: 0, end: firstColumn ? firstColumn.sourceRange!.start : lines.length };
+    header.persisted = !withCounter || lines.some(line => NEXT_ID_PATTERN.test(line.trim()));
+
     for (const column of board.columns) {
-      const columnTitle = column.archived ? `${column.title} [Archived]` : column.title;
-      markdown += `## ${columnTitle}\n\n`;
+      const columnRange = column.sourceRange!;
+      const firstTask = column.tasks[0];
+      chunks[index++].range = { start: columnRange.start, end: firstTask ? firstTask.sourceRange!.start : columnRange.end };
 
       for (const task of column.tasks) {
-        // New format: TSK_N in title
-        const idPrefix = task.id && task.id.match(/^TSK[_-]\d+$/) ? `${task.id}: ` : '';
+        const chunk = chunks[index++];
+        chunk.range = task.sourceRange;
+        // Auto-assigned IDs only exist in memory until the task is written out
+        const taskLines = lines.slice(task.sourceRange!.start, task.sourceRange!.end);
+        chunk.persisted = lines[task.sourceRange!.start].includes(task.id) &&
+          (task.subtasks || []).every(subtask => taskLines.some(line => line.includes(subtask.id)));
+      }
+    }
+    return chunks;
+  }
+
+  // Indices (into `values`) of a longest strictly increasing run of non-negative values
+  private static longestIncreasingSubsequence(values: number[]): Set<number> {
+    const tails: number[] = [];
+    const previous: number[] = new Array(values.length).fill(-1);
 
-        if (taskHeaderFormat === 'title') {
-          markdown += `### ${idPrefix}${task.title}\n`;
+    values.forEach((value, i) => {
+      if (value < 0) return;
+
+      let low = 0;
+      let high = tails.length;
+      while (low < high) {
+        const mid = (low + high) >> 1;
+        if (values[tails[mid]] < value) {
+          low = mid + 1;
         } else {
-          markdown += `- ${idPrefix}${task.title}\n`;
+          high = mid;
         }
+      }
+      previous[i] = low > 0 ? tails[low - 1] : -1;
+      tails[low] = i;
+    });
 
-        // Blockquote metadata line: > tags | priority
-        const metaParts: string[] = [];
-        if (task.tags && task.tags.length > 0) {
-          metaParts.push(task.tags.join(', '));
-        }
-        if (task.priority) {
-          metaParts.push(task.priority);
-        }
-        if (metaParts.length > 0) {
-          markdown += `> ${metaParts.join(' | ')}\n`;
-        }
+    const result = new Set<number>();
+    for (let i = tails.length > 0 ? tails[tails.length - 1] : -1; i !== -1; i = previous[i]) {
+      result.add(i);
+    }
+    return result;
+  }
 
-        // Description paragraph
-        if (task.description && task.description.trim() !== '') {
-          markdown += `\n${task.description.trim()}\n`;
-        }
+  // Drops leading and trailing lines the edit would leave unchanged
+  private static trimEdit(lines: string[], edit: MarkdownEdit): MarkdownEdit | null {
+    const newLines = edit.text === '' ? [] : edit.text.replace(/\n$/, '').split('\n');
+    let start = edit.start;
+    let end = edit.end;
+    let newStart = 0;
+    let newEnd = newLines.length;
 
-        // Due date (preserved for backward compat — rare field)
-        if (task.dueDate) {
-          markdown += `\n**Due:** ${task.dueDate}\n`;
-        }
+    while (start < end && newStart < newEnd && lines[start] === newLines[newStart]) {
+      start++;
+      newStart++;
+    }
+    while (start < end && newStart < newEnd && lines[end - 1] === newLines[newEnd - 1]) {
+      end--;
+      newEnd--;
+    }
+    if (start === end && newStart === newEnd) {
+      return null;
+    }
 
-        // Workload (preserved for backward compat — rare field)
-        if (task.workload) {
-          markdown += `\n**Workload:** ${task.workload}\n`;
-        }
+    const text = newLines.slice(newStart, newEnd).map(line => line + '\n').join('');
+    return { start, end, text };
+  }
 
-        // Steps checklist
-        if (task.steps && task.steps.length > 0) {
-          markdown += `\n**Steps:**\n`;
-          for (const item of task.steps) {
-            const checkbox = item.completed ? '[x]' : '[ ]';
-            markdown += `- ${checkbox} ${item.text}\n`;
-          }
-        }
+  private static ensureBlankLineAfter(text: string): string {
+    return /\n\s*\n$/.test(text) ? text : text + '\n';
+  }
 
-        // AC checklist
-        if (task.ac && task.ac.length > 0) {
-          markdown += `\n**AC:**\n`;
-          for (const item of task.ac) {
-            const checkbox = item.completed ? '[x]' : '[ ]';
-            markdown += `- ${checkbox} ${item.text}\n`;
-          }
-        }
+  static generateTaskMarkdown(task: KanbanTask, taskHeaderFormat: 'title' | 'list' = 'title'): string {
+    let markdown = '';
+
+    // New format: TSK_N in title
+    const idPrefix = task.id && task.id.match(/^TSK[_-]\d+$/) ? `${task.id}: ` : '';
+
+    if (taskHeaderFormat === 'title') {
+      markdown += `### ${idPrefix}${task.title}\n`;
+    } else {
+      markdown += `- ${idPrefix}${task.title}\n`;
+    }
+
+    markdown += this.generateTaskBodyMarkdown(task);
+
+    // Unrecognised markdown that followed the task, kept verbatim
+    if (task.rawContent) {
+      markdown += `\n${task.rawContent}\n`;
+    }
 
-        // Verify checklist
-        if (task.verify && task.verify.length > 0) {
-          markdown += `\n**Verify:**\n`;
-          for (const item of task.verify) {
+    for (const subtask of task.subtasks || []) {
+      markdown += `\n${this.generateSubtaskMarkdown(subtask, taskHeaderFormat)}`;
+    }
+
+    markdown += '\n';
+    return markdown;
+  }
+
+  // A #### heading in title format; in list format a nested item with its body indented under it
+  private static generateSubtaskMarkdown(subtask: KanbanSubtask, taskHeaderFormat: 'title' | 'list'): string {
+    const heading = `[${subtask.completed ? 'x' : ' '}] ${subtask.id}: ${subtask.title}`;
+    const body = this.generateTaskBodyMarkdown(subtask);
+
+    let markdown = taskHeaderFormat === 'title'
+      ? `#### ${heading}\n${body}`
+      : `  - ${heading}\n${body.replace(/^(?=.)/gm, '    ')}`;
+
+    if (subtask.rawContent) {
+      markdown += `\n${subtask.rawContent}\n`;
+    }
+    return markdown;
+  }
+
+  // Metadata line, description and bold sections: everything between a task's heading and its raw content
+  private static generateTaskBodyMarkdown(task: KanbanTask): string {
+    let markdown = '';
+
+    // Blockquote metadata line: > tags | priority | @assignees
+    // The priority is read from the second part, so without tags an empty tags slot keeps its place
+    const metaParts: string[] = [];
+    if (task.tags && task.tags.length > 0) {
+      metaParts.push(task.tags.join(', '));
+    } else if (task.priority) {
+      metaParts.push('');
+    }
+    if (task.priority) {
+      metaParts.push(task.priority);
+    }
+    if (task.assignees && task.assignees.length > 0) {
+      metaParts.push(task.assignees.map(name => `@${name}`).join(', '));
+    }
+    if (metaParts.length > 0) {
+      markdown += `> ${metaParts.join(' | ')}\n`;
+    }
+
+    // Description paragraph
+    if (task.description && task.description.trim() !== '') {
+      markdown += `\n${task.description.trim()}\n`;
+    }
+
+    // Bold sections: inline values and checklists
+    for (const section of TASK_SECTIONS) {
+      if (section.kind === 'checklist') {
+        const items = task[section.key];
+        if (items && items.length > 0) {
+          markdown += `\n**${section.label}:**\n`;
+          for (const item of items) {
             const checkbox = item.completed ? '[x]' : '[ ]';
             markdown += `- ${checkbox} ${item.text}\n`;
           }
         }
-
-        // Files inline
-        if (task.files) {
-          markdown += `\n**Files:** ${task.files}\n`;
+      } else if (section.kind === 'list') {
+        const items = section.write(task);
+        if (items && items.length > 0) {
+          markdown += `\n**${section.label}:**\n${items.map(item => `- ${item}\n`).join('')}`;
+        }
+      } else {
+        const value = section.write(task);
+        if (value) {
+          markdown += `\n**${section.label}:** ${value}\n`;
         }
-
-        markdown += '\n';
       }
     }
+
     return markdown;
   }
 }
@@ -0,0 +1,157 @@
+import * as vscode from 'vscode';
+
+import { MarkdownKanbanParser, KanbanBoard, KanbanColumn, KanbanTask } from './markdownParser';
+
+export interface IndexedBoard {
+    uri: vscode.Uri;
+    board: KanbanBoard;
+}
+
+export interface IndexedTask {
+    uri: vscode.Uri;
+    board: KanbanBoard;
+    column: KanbanColumn;
+    task: KanbanTask;
+}
+
+const MARKDOWN_GLOB = '**/*.md';
+const EXCLUDE_GLOB = '**/node_modules/**';
+
+// Only files the board has written to (or that were written in its format) are indexed,
+// so READMEs and notes with ## headings don't show up as boards
+function looksLikeBoard(content: string): boolean {
+    return /^<!--\s*next-id:\s*\d+\s*-->$/m.test(content)
+        || /^(?:### |- )TSK_\d+: /m.test(content);
+}
+
+/**
+ * Keeps a parsed copy of every kanban board in the workspace, updated as files change on disk.
+ * TSK_N IDs are only unique per file, so tasks are always identified by file URI plus ID.
+ */
+export class KanbanTaskIndex implements vscode.Disposable {
+    private readonly _boards = new Map<string, IndexedBoard>();
+    private readonly _onDidChange = new vscode.EventEmitter<void>();
+    private readonly _disposables: vscode.Disposable[] = [];
+    private _changeTimer?: ReturnType<typeof setTimeout>;
+    // File updates and scans run one after another, so a slow read can't overwrite a newer one
+    private _queue: Promise<void> = Promise.resolve();
+    private _scanQueued = false;
+
+    public readonly onDidChange = this._onDidChange.event;
+
+    constructor() {
+        const watcher = vscode.workspace.createFileSystemWatcher(MARKDOWN_GLOB);
+        watcher.onDidCreate(uri => this._enqueue(() => this._indexFile(uri)), null, this._disposables);
+        watcher.onDidChange(uri => this._enqueue(() => this._indexFile(uri)), null, this._disposables);
+        watcher.onDidDelete(uri => this._enqueue(async () => this._removeFile(uri)), null, this._disposables);
+        this._disposables.push(watcher, this._onDidChange);
+    }
+
+    public get boards(): IndexedBoard[] {
+        return [...this._boards.values()]
+            .sort((a, b) => vscode.workspace.asRelativePath(a.uri).localeCompare(vscode.workspace.asRelativePath(b.uri)));
+    }
+
+    public get tasks(): IndexedTask[] {
+        return this.boards.flatMap(({ uri, board }) =>
+            board.columns.flatMap(column => column.tasks.map(task => ({ uri, board, column, task })))
+        );
+    }
+
+    public getBoard(uri: vscode.Uri): IndexedBoard | undefined {
+        return this._boards.get(uri.toString());
+    }
+
+    /**
+     * Re-scans the whole workspace. Runs in the background; listeners are notified as boards come in.
+     * Refreshes requested while a scan is waiting to start share that scan.
+     */
+    public refresh(): Promise<void> {
+        if (this._scanQueued) {
+            return this._queue;
+        }
+        this._scanQueued = true;
+        return this._enqueue(() => {
+            this._scanQueued = false;
+            return this._scan();
+        });
+    }
+
+    private _enqueue(task: () => Promise<void>): Promise<void> {
+        const run = async () => {
+            try {
+                await task();
+            } catch (error) {
+                console.error('Error updating the task index:', error);
+            }
+        };
+        this._queue = this._queue.then(run);
+        return this._queue;
+    }
+
+    private async _scan() {
+        this._boards.clear();
+        this._fireChange();
+
+        const uris = await vscode.workspace.findFiles(MARKDOWN_GLOB, EXCLUDE_GLOB);
+        for (const uri of uris) {
+            await this._indexFile(uri);
+        }
+    }
+
+    private async _indexFile(uri: vscode.Uri) {
+        if (uri.fsPath.split(/[\\/]/).includes('node_modules')) return;
+
+        let content: string;
+        try {
+            // Prefer the open document so the index matches what the board panels show
+            const openDocument = vscode.workspace.textDocuments.find(doc => doc.uri.toString() === uri.toString());
+            content = openDocument
+                ? openDocument.getText()
+                : Buffer.from(await vscode.workspace.fs.readFile(uri)).toString('utf8');
+        } catch (error) {
+            console.error(`Error indexing ${uri.fsPath}:`, error);
+            this._removeFile(uri);
+            return;
+        }
+
+        if (!looksLikeBoard(content)) {
+            this._removeFile(uri);
+            return;
+        }
+
+        try {
+            this._boards.set(uri.toString(), { uri, board: MarkdownKanbanParser.parseMarkdown(content) });
+        } catch (error) {
+            console.error(`Error parsing ${uri.fsPath}:`, error);
+            this._boards.delete(uri.toString());
+        }
+        this._fireChange();
+    }
+
+    private _removeFile(uri: vscode.Uri) {
+        if (this._boards.delete(uri.toString())) {
+            this._fireChange();
+        }
+    }
+
+    // A workspace scan touches many files at once; refresh listeners once it settles
+    private _fireChange() {
+        if (this._changeTimer) {
+            clearTimeout(this._changeTimer);
+        }
+        this._changeTimer = setTimeout(() => {
+            this._changeTimer = undefined;
+            this._onDidChange.fire();
+        }, 200);
+    }
+
+    public dispose() {
+        if (this._changeTimer) {
+            clearTimeout(this._changeTimer);
+        }
+        while (this._disposables.length) {
+            this._disposables.pop()?.dispose();
+        }
+    }
+}
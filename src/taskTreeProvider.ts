@@ -0,0 +1,85 @@
+import * as vscode from 'vscode';
+import * as path from 'path';
+
+import { KanbanColumn, KanbanTask } from './markdownParser';
+import { IndexedBoard, KanbanTaskIndex } from './taskIndex';
+
+type TaskTreeNode =
+    | { kind: 'board'; board: IndexedBoard }
+    | { kind: 'column'; board: IndexedBoard; column: KanbanColumn }
+    | { kind: 'task'; board: IndexedBoard; column: KanbanColumn; task: KanbanTask; index: number };
+
+/** Activity bar tree of every indexed board, its columns and their tasks. */
+export class TaskTreeProvider implements vscode.TreeDataProvider<TaskTreeNode>, vscode.Disposable {
+    public static readonly viewId = 'markdown-kanban.tasks';
+
+    private readonly _onDidChangeTreeData = new vscode.EventEmitter<TaskTreeNode | undefined>();
+    public readonly onDidChangeTreeData = this._onDidChangeTreeData.event;
+    private readonly _disposables: vscode.Disposable[] = [this._onDidChangeTreeData];
+
+    constructor(private readonly _index: KanbanTaskIndex) {
+        _index.onDidChange(() => this._onDidChangeTreeData.fire(undefined), null, this._disposables);
+    }
+
+    public dispose() {
+        while (this._disposables.length) {
+            this._disposables.pop()?.dispose();
+        }
+    }
+
+    public getChildren(node?: TaskTreeNode): TaskTreeNode[] {
+        if (!node) {
+            return this._index.boards.map(board => ({ kind: 'board', board }));
+        }
+        if (node.kind === 'board') {
+            return node.board.board.columns.map(column => ({ kind: 'column', board: node.board, column }));
+        }
+        if (node.kind === 'column') {
+            return node.column.tasks.map((task, index) => ({ kind: 'task', board: node.board, column: node.column, task, index }));
+        }
+        return [];
+    }
+
+    public getTreeItem(node: TaskTreeNode): vscode.TreeItem {
+        const { uri, board } = node.board;
+
+        if (node.kind === 'board') {
+            const item = new vscode.TreeItem(board.title || path.basename(uri.fsPath), vscode.TreeItemCollapsibleState.Collapsed);
+            item.id = uri.toString();
+            item.description = vscode.workspace.asRelativePath(uri);
+            item.resourceUri = uri;
+            item.iconPath = new vscode.ThemeIcon('project');
+            item.contextValue = 'board';
+            return item;
+        }
+
+        if (node.kind === 'column') {
+            const item = new vscode.TreeItem(node.column.title, vscode.TreeItemCollapsibleState.Collapsed);
+            item.id = `${uri.toString()}#${node.column.id}`;
+            item.description = node.column.archived ? `${node.column.tasks.length} · archived` : `${node.column.tasks.length}`;
+            item.iconPath = new vscode.ThemeIcon(node.column.archived ? 'archive' : 'list-unordered');
+            item.contextValue = 'column';
+            return item;
+        }
+
+        const { task } = node;
+        const item = new vscode.TreeItem(task.title, vscode.TreeItemCollapsibleState.None);
+        // Task IDs aren't guaranteed to be unique in a file, and tree item IDs have to be
+        item.id = `${uri.toString()}#${node.column.id}/${node.index}/${task.id}`;
+        item.description = task.id;
+        item.tooltip = [
+            `${task.id}: ${task.title}`,
+            task.priority && `Priority: ${task.priority}`,
+            task.dueDate && `Due: ${task.dueDate}`,
+            task.tags?.length ? task.tags.map(tag => `#${tag}`).join(' ') : undefined,
+        ].filter(Boolean).join('\n');
+        item.iconPath = new vscode.ThemeIcon('circle-outline');
+        item.contextValue = 'task';
+        item.command = {
+            command: 'markdown-kanban.goToTask',
+            title: 'Go to Task',
+            arguments: [uri, task.id]
+        };
+        return item;
+    }
+}
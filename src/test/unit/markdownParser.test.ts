@@ -0,0 +1,648 @@
+import * as assert from 'assert';
+import * as fs from 'fs';
+import * as path from 'path';
+
+import { MarkdownKanbanParser, KanbanBoard, KanbanTask, MarkdownEdit, DropTarget } from '../../markdownParser';
+
+// Source ranges depend on layout, so compare boards without them
+function comparable(board: KanbanBoard) {
+	return {
+		...board,
+		columns: board.columns.map(({ sourceRange, ...column }) => ({
+			...column,
+			tasks: column.tasks.map(({ sourceRange, ...task }) => task)
+		}))
+	};
+}
+
+// Applies line-based edits the way a vscode.WorkspaceEdit with Range(start, 0, end, 0) would
+function applyEdits(content: string, edits: MarkdownEdit[]): string {
+	const lineOffsets = [0];
+	for (let i = 0; i < content.length; i++) {
+		if (content[i] === '\n') {
+			lineOffsets.push(i + 1);
+		}
+	}
+	const offsetOf = (line: number) => line < lineOffsets.length ? lineOffsets[line] : content.length;
+
+	let result = content;
+	for (const edit of [...edits].sort((a, b) => b.start - a.start)) {
+		result = result.substring(0, offsetOf(edit.start)) + edit.text + result.substring(offsetOf(edit.end));
+	}
+	return result;
+}
+
+// Tests run from out/test/unit, fixtures stay next to the sources
+const fixturesDir = path.resolve(__dirname, '../../../src/test/fixtures');
+
+function readFixture(name: string): string {
+	return fs.readFileSync(path.join(fixturesDir, name), 'utf8');
+}
+
+// <name>.md is the input; <name>.expected.md the generated markdown when it differs from the input
+function getFixtures(): Array<{ name: string; input: string; expected: string; format: 'title' | 'list' }> {
+	return fs.readdirSync(fixturesDir)
+		.filter(file => file.endsWith('.md') && !file.endsWith('.expected.md'))
+		.map(file => {
+			const name = file.replace(/\.md$/, '');
+			const expectedFile = `${name}.expected.md`;
+			const input = readFixture(file);
+			return {
+				name,
+				input,
+				expected: fs.existsSync(path.join(fixturesDir, expectedFile)) ? readFixture(expectedFile) : input,
+				format: name.includes('list') ? 'list' : 'title'
+			};
+		});
+}
+
+function findTask(board: KanbanBoard, taskId: string): KanbanTask | undefined {
+	return board.columns.flatMap(column => column.tasks).find(task => task.id === taskId);
+}
+
+suite('MarkdownKanbanParser Test Suite', () => {
+	suite('fixtures', () => {
+		for (const fixture of getFixtures()) {
+			test(`${fixture.name}: generates the expected markdown`, () => {
+				const board = MarkdownKanbanParser.parseMarkdown(fixture.input);
+				assert.strictEqual(MarkdownKanbanParser.generateMarkdown(board, fixture.format), fixture.expected);
+			});
+
+			test(`${fixture.name}: generated markdown is stable`, () => {
+				const board = MarkdownKanbanParser.parseMarkdown(fixture.expected);
+				assert.strictEqual(MarkdownKanbanParser.generateMarkdown(board, fixture.format), fixture.expected);
+				assert.deepStrictEqual(MarkdownKanbanParser.generateEdits(fixture.expected, board, fixture.format), []);
+			});
+
+			test(`${fixture.name}: CRLF input parses the same as LF`, () => {
+				const crlf = fixture.input.replace(/\n/g, '\r\n');
+				assert.deepStrictEqual(MarkdownKanbanParser.parseMarkdown(crlf), MarkdownKanbanParser.parseMarkdown(fixture.input));
+			});
+		}
+
+		test('legacy title format migrates every property', () => {
+			const board = MarkdownKanbanParser.parseMarkdown(readFixture('legacy-title.md'));
+			const task = findTask(board, 'TSK_1')!;
+
+			assert.deepStrictEqual(board.columns.map(column => column.title), ['To Do', 'Done']);
+			assert.strictEqual(task.title, 'Design User Interface');
+			assert.strictEqual(task.dueDate, '2024-01-15');
+			assert.deepStrictEqual(task.tags, ['design', 'ui', 'frontend', 'backend']);
+			assert.strictEqual(task.priority, 'high');
+			assert.strictEqual(task.workload, 'Hard');
+			assert.strictEqual(task.defaultExpanded, true);
+			assert.deepStrictEqual(task.steps, [{ text: 'asd', completed: true }, { text: 'xgfs', completed: false }]);
+			assert.strictEqual(task.description, 'Design user login and registration pages, including:\n- Responsive layout design\n- Brand color application');
+			assert.strictEqual(task.rawContent, undefined);
+		});
+
+		test('legacy list format keeps explicit IDs and multi-line descriptions', () => {
+			const board = MarkdownKanbanParser.parseMarkdown(readFixture('legacy-list.md'));
+			const task = findTask(board, 'TSK_4')!;
+
+			assert.strictEqual(task.title, 'Write API Documentation');
+			assert.strictEqual(task.description, 'Write complete REST API documentation\nusing OpenAPI 3.0.');
+			assert.deepStrictEqual(task.ac, [{ text: 'Every endpoint documented', completed: false }]);
+			assert.strictEqual(task.files, '[api.yaml](docs/api.yaml)');
+			assert.strictEqual(findTask(board, 'TSK_1')!.title, 'Rotate keys');
+		});
+
+		test('tasks without an ID are numbered from the next-id counter', () => {
+			const board = MarkdownKanbanParser.parseMarkdown(readFixture('auto-numbering.md'));
+
+			assert.deepStrictEqual(
+				board.columns.flatMap(column => column.tasks.map(task => task.id)),
+				['TSK_3', 'TSK_12', 'TSK-11', 'TSK_13']
+			);
+			assert.strictEqual(board.nextId, 14);
+		});
+
+		test('headings inside code fences are not parsed', () => {
+			const board = MarkdownKanbanParser.parseMarkdown(readFixture('code-fences.md'));
+
+			assert.strictEqual(board.title, 'Fences');
+			assert.deepStrictEqual(board.columns.map(column => column.title), ['Todo']);
+			assert.deepStrictEqual(board.columns[0].tasks.map(task => task.id), ['TSK_1']);
+
+			const task = board.columns[0].tasks[0];
+			assert.strictEqual(task.dueDate, undefined);
+			assert.ok(task.description!.includes('### still not a task'));
+			assert.deepStrictEqual(task.steps, [{ text: 'Ship it', completed: false }]);
+			assert.strictEqual(task.rawContent, '```\n## Not a column either\n```');
+		});
+
+		test('an unclosed code fence swallows the rest of the document', () => {
+			const board = MarkdownKanbanParser.parseMarkdown('## Todo\n\n```\n### Not a task\n\n## Not a column\n');
+
+			assert.deepStrictEqual(board.columns.map(column => column.title), ['Todo']);
+			assert.strictEqual(board.columns[0].tasks.length, 0);
+			assert.strictEqual(board.columns[0].rawContent, '```\n### Not a task\n\n## Not a column');
+		});
+	});
+
+	suite('lossless round-trip', () => {
+		const source = readFixture('prose.md');
+
+		test('keeps unrecognised blocks attached to board, column and task', () => {
+			const board = MarkdownKanbanParser.parseMarkdown(source);
+
+			assert.strictEqual(board.preamble, '---\nowner: platform\n---');
+			assert.strictEqual(board.rawContent, 'Intro paragraph for the board.\n\n| Column | Meaning |\n| ------ | ------- |\n| Todo   | Not yet |');
+			assert.strictEqual(board.columns.length, 2);
+			assert.strictEqual(board.columns[0].rawContent, 'Column note before any task.');
+			assert.strictEqual(board.columns[0].tasks.length, 1);
+
+			const task = board.columns[0].tasks[0];
+			assert.strictEqual(task.description, 'First paragraph.\n\nSecond paragraph.\n\n```ts\n## not a column\n### not a task\n```');
+			assert.deepStrictEqual(task.ac, [{ text: 'works', completed: true }]);
+			assert.strictEqual(task.rawContent, '#### Notes\n\n- a plain bullet, not a task\n\n<!-- reviewer: sam -->');
+		});
+
+		test('generateMarkdown writes unrecognised blocks back unchanged', () => {
+			const board = MarkdownKanbanParser.parseMarkdown(source);
+			const markdown = MarkdownKanbanParser.generateMarkdown(board);
+			const reparsed = MarkdownKanbanParser.parseMarkdown(markdown);
+
+			assert.ok(markdown.startsWith('---\nowner: platform\n---\n'));
+			assert.deepStrictEqual(comparable(reparsed), comparable(board));
+			assert.strictEqual(MarkdownKanbanParser.generateMarkdown(reparsed), markdown);
+		});
+	});
+
+	suite('minimal-diff edits', () => {
+		const source = [
+			'<!-- next-id: 4 -->',
+			'# Board',
+			'',
+			'## Todo',
+			'',
+			'### TSK_1: First',
+			'> ui',
+			'',
+			'**Steps:**',
+			'- [ ] one',
+			'- [ ] two',
+			'',
+			'### TSK_2: Second',
+			'',
+			'## Done',
+			'',
+			'### TSK_3: Third',
+			''
+		].join('\n');
+
+		test('parser records source ranges for columns and tasks', () => {
+			const board = MarkdownKanbanParser.parseMarkdown(source);
+
+			assert.deepStrictEqual(board.columns[0].sourceRange, { start: 3, end: 14 });
+			assert.deepStrictEqual(board.columns[0].tasks[0].sourceRange, { start: 5, end: 12 });
+			assert.deepStrictEqual(board.columns[0].tasks[1].sourceRange, { start: 12, end: 14 });
+			assert.deepStrictEqual(board.columns[1].sourceRange, { start: 14, end: 17 });
+		});
+
+		test('no edits when nothing changed', () => {
+			const board = MarkdownKanbanParser.parseMarkdown(source);
+			assert.deepStrictEqual(MarkdownKanbanParser.generateEdits(source, board), []);
+		});
+
+		test('toggling a checkbox replaces a single line', () => {
+			const board = MarkdownKanbanParser.parseMarkdown(source);
+			board.columns[0].tasks[0].steps![1].completed = true;
+
+			const edits = MarkdownKanbanParser.generateEdits(source, board);
+			assert.deepStrictEqual(edits, [{ start: 10, end: 11, text: '- [x] two\n' }]);
+		});
+
+		test('moving a task only touches the moved task', () => {
+			const board = MarkdownKanbanParser.parseMarkdown(source);
+			const task = board.columns[0].tasks.shift()!;
+			board.columns[1].tasks.push(task);
+
+			const edits = MarkdownKanbanParser.generateEdits(source, board);
+			const result = applyEdits(source, edits);
+
+			assert.strictEqual(edits.length, 2);
+			assert.ok(edits.every(edit => edit.end - edit.start <= 7));
+			assert.deepStrictEqual(
+				comparable(MarkdownKanbanParser.parseMarkdown(result)),
+				comparable(MarkdownKanbanParser.parseMarkdown(MarkdownKanbanParser.generateMarkdown(board)))
+			);
+		});
+
+		test('hand-written formatting of untouched tasks is kept', () => {
+			const handWritten = source.replace('### TSK_3: Third\n', '### TSK_3: Third\n\nSome   notes  with *odd*   spacing\n');
+			const board = MarkdownKanbanParser.parseMarkdown(handWritten);
+			board.columns[0].tasks[0].title = 'First (renamed)';
+
+			const result = applyEdits(handWritten, MarkdownKanbanParser.generateEdits(handWritten, board));
+
+			assert.strictEqual(result, handWritten.replace('### TSK_1: First', '### TSK_1: First (renamed)'));
+		});
+
+		test('adding a task updates the counter and appends the task', () => {
+			const board = MarkdownKanbanParser.parseMarkdown(source);
+			board.columns[1].tasks.push({ id: `TSK_${board.nextId++}`, title: 'Fourth' });
+
+			const result = applyEdits(source, MarkdownKanbanParser.generateEdits(source, board));
+
+			assert.strictEqual(result, source.replace('next-id: 4', 'next-id: 5') + '\n### TSK_4: Fourth\n\n');
+		});
+
+		test('tasks without an ID in the file get theirs written out', () => {
+			const unnumbered = '# Board\n\n## Todo\n\n### Plain task\n';
+			const board = MarkdownKanbanParser.parseMarkdown(unnumbered);
+
+			const result = applyEdits(unnumbered, MarkdownKanbanParser.generateEdits(unnumbered, board));
+
+			assert.strictEqual(result, '<!-- next-id: 2 -->\n# Board\n\n## Todo\n\n### TSK_1: Plain task\n\n');
+		});
+
+		test('a counter at the end of the file is updated in place', () => {
+			const content = '# Board\n\n## Todo\n\n### TSK_1: First\n\n<!-- next-id: 2 -->\n';
+			const board = MarkdownKanbanParser.parseMarkdown(content);
+			board.columns[0].tasks.push({ id: `TSK_${board.nextId++}`, title: 'Second' });
+
+			const result = applyEdits(content, MarkdownKanbanParser.generateEdits(content, board));
+
+			assert.strictEqual(result, '# Board\n\n## Todo\n\n### TSK_1: First\n\n### TSK_2: Second\n\n<!-- next-id: 3 -->\n');
+			assert.strictEqual(MarkdownKanbanParser.parseMarkdown(result).nextId, 3);
+		});
+
+		test('rewriting the task above a trailing counter keeps the counter', () => {
+			const content = '# Board\n\n## Todo\n\n### TSK_1: First\n\n<!-- next-id: 2 -->\n';
+			const board = MarkdownKanbanParser.parseMarkdown(content);
+			board.columns[0].tasks[0].title = 'Renamed';
+
+			const result = applyEdits(content, MarkdownKanbanParser.generateEdits(content, board));
+
+			assert.strictEqual(result, '# Board\n\n## Todo\n\n### TSK_1: Renamed\n\n<!-- next-id: 2 -->\n');
+		});
+
+		test('appending to a file without a final newline starts a new line', () => {
+			const noNewline = source.replace(/\n$/, '');
+			const board = MarkdownKanbanParser.parseMarkdown(noNewline);
+			board.columns[1].tasks.push({ id: 'TSK_4', title: 'Fourth' });
+			board.nextId = 5;
+
+			const result = applyEdits(noNewline, MarkdownKanbanParser.generateEdits(noNewline, board));
+
+			assert.ok(result.endsWith('### TSK_3: Third\n\n### TSK_4: Fourth\n\n'));
+		});
+	});
+
+	suite('field round-trip', () => {
+		// Typed as Required so that a new KanbanTask field fails to compile until it is covered here
+		const fullTask: Required<Omit<KanbanTask, 'sourceRange'>> = {
+			id: 'TSK_7',
+			title: 'Every field',
+			description: 'Line one.\n\n> quoted, not metadata',
+			tags: ['ui', 'backend'],
+			priority: 'high',
+			assignees: ['alice', 'bob.smith'],
+			workload: 'Hard',
+			dueDate: '2025-03-01',
+			startDate: '2025-02-01',
+			repeat: 'every 2 weeks',
+			defaultExpanded: true,
+			blockedBy: ['TSK_3', 'TSK_5'],
+			steps: [{ text: 'step one', completed: true }, { text: 'step two', completed: false }],
+			ac: [{ text: 'accepted', completed: false }],
+			verify: [{ text: 'verified', completed: true }],
+			files: '[parser](src/markdownParser.ts)',
+			logged: [{ start: '2025-02-03 09:15', minutes: 90 }, { start: '2025-02-04 14:00', minutes: 45 }],
+			subtasks: [{
+				id: 'TSK_8',
+				title: 'Child task',
+				description: 'Child description.',
+				completed: true,
+				tags: ['ui'],
+				priority: 'low',
+				dueDate: '2025-02-15',
+				steps: [{ text: 'child step', completed: false }]
+			}],
+			rawContent: '#### Extra notes\n\n| a | b |\n| - | - |'
+		};
+
+		for (const format of ['title', 'list'] as const) {
+			test(`every KanbanTask field survives parse → generate → parse (${format} format)`, () => {
+				const board: KanbanBoard = {
+					title: 'Board',
+					nextId: 9,
+					columns: [{ id: 'todo', title: 'Todo', archived: false, tasks: [{ ...fullTask }] }]
+				};
+
+				const markdown = MarkdownKanbanParser.generateMarkdown(board, format);
+				const reparsed = MarkdownKanbanParser.parseMarkdown(markdown);
+
+				assert.deepStrictEqual(comparable(reparsed), comparable(board));
+				assert.strictEqual(MarkdownKanbanParser.generateMarkdown(reparsed, format), markdown);
+			});
+		}
+
+		test('new-format sections are written in a fixed order', () => {
+			const markdown = MarkdownKanbanParser.generateTaskMarkdown({ ...fullTask, rawContent: undefined, subtasks: undefined });
+			const labels = markdown.split('\n').filter(line => line.startsWith('**')).map(line => line.match(/^\*\*(.+?):/)![1]);
+
+			assert.deepStrictEqual(labels, ['Start', 'Due', 'Repeat', 'Workload', 'Expanded', 'Blocked by', 'Steps', 'AC', 'Verify', 'Files', 'Logged']);
+		});
+
+		test('description without a metadata line is parsed back', () => {
+			const board = MarkdownKanbanParser.parseMarkdown('## Todo\n\n### TSK_1: Task\n\nJust a description.\n\n**Due:** 2025-01-01\n');
+			const task = board.columns[0].tasks[0];
+
+			assert.strictEqual(task.description, 'Just a description.');
+			assert.strictEqual(task.dueDate, '2025-01-01');
+			assert.strictEqual(task.rawContent, undefined);
+		});
+
+		test('blocked-by IDs are split on commas', () => {
+			const board = MarkdownKanbanParser.parseMarkdown('## Todo\n\n### TSK_4: Task\n\n**Blocked by:** TSK_3,TSK_7 ,\n');
+			const task = board.columns[0].tasks[0];
+
+			assert.deepStrictEqual(task.blockedBy, ['TSK_3', 'TSK_7']);
+			assert.match(MarkdownKanbanParser.generateTaskMarkdown(task), /^\*\*Blocked by:\*\* TSK_3, TSK_7$/m);
+		});
+
+		test('assignees are read from any part of the metadata line', () => {
+			const board = MarkdownKanbanParser.parseMarkdown('## Todo\n\n### TSK_1: One\n> @alice, @bob\n\n### TSK_2: Two\n> ui | @carol | high\n');
+			const [first, second] = board.columns[0].tasks;
+
+			assert.deepStrictEqual(first.assignees, ['alice', 'bob']);
+			assert.strictEqual(first.tags, undefined);
+			assert.deepStrictEqual(second.assignees, ['carol']);
+			assert.deepStrictEqual(second.tags, ['ui']);
+			assert.strictEqual(second.priority, 'high');
+			assert.match(MarkdownKanbanParser.generateTaskMarkdown(second), /^> ui \| high \| @carol$/m);
+		});
+
+		test('priority without tags survives a round-trip', () => {
+			const markdown = MarkdownKanbanParser.generateTaskMarkdown({ id: 'TSK_1', title: 'Task', priority: 'high' });
+			const task = MarkdownKanbanParser.parseMarkdown(`## Todo\n\n${markdown}`).columns[0].tasks[0];
+
+			assert.strictEqual(task.priority, 'high');
+			assert.strictEqual(task.tags, undefined);
+		});
+
+		test('priority and assignee without tags survive a round-trip', () => {
+			const markdown = MarkdownKanbanParser.generateTaskMarkdown({ id: 'TSK_1', title: 'Task', priority: 'low', assignees: ['bob'] });
+			const task = MarkdownKanbanParser.parseMarkdown(`## Todo\n\n${markdown}`).columns[0].tasks[0];
+
+			assert.strictEqual(task.priority, 'low');
+			assert.deepStrictEqual(task.assignees, ['bob']);
+			assert.strictEqual(task.tags, undefined);
+		});
+
+		test('unknown workload values are ignored', () => {
+			const board = MarkdownKanbanParser.parseMarkdown('## Todo\n\n### TSK_1: Task\n\n**Workload:** enormous\n\n**Expanded:** false\n');
+			const task = board.columns[0].tasks[0];
+
+			assert.strictEqual(task.workload, undefined);
+			assert.strictEqual(task.defaultExpanded, false);
+		});
+	});
+
+	suite('subtasks', () => {
+		test('#### headings with a checkbox or an ID are subtasks of the task above', () => {
+			const board = MarkdownKanbanParser.parseMarkdown([
+				'<!-- next-id: 4 -->', '## Todo', '', '### TSK_1: Parent', '', '#### [x] TSK_2: Done child', '> ui | high', '', '**Due:** 2025-01-10', '',
+				'#### Notes', '', 'Plain notes.', '', '#### [ ] Open child', '', '### TSK_3: Next', ''
+			].join('\n'));
+			const [parent, next] = board.columns[0].tasks;
+
+			assert.strictEqual(board.columns[0].tasks.length, 2);
+			assert.deepStrictEqual(parent.subtasks!.map(subtask => [subtask.id, subtask.title, subtask.completed]),
+				[['TSK_2', 'Done child', true], ['TSK_4', 'Open child', false]]);
+			assert.deepStrictEqual(parent.subtasks![0].tags, ['ui']);
+			assert.strictEqual(parent.subtasks![0].dueDate, '2025-01-10');
+			assert.strictEqual(parent.subtasks![0].rawContent, '#### Notes\n\nPlain notes.');
+			assert.strictEqual(next.subtasks, undefined);
+		});
+
+		test('nested list items with an ID are subtasks in list format', () => {
+			const board = MarkdownKanbanParser.parseMarkdown([
+				'## Todo', '', '- TSK_1: Parent', '  - [ ] TSK_2: Child', '    > ops', '', '    Indented description.', '',
+				'    **Steps:**', '    - [x] child step', '', '- TSK_3: Next', ''
+			].join('\n'));
+			const [parent, next] = board.columns[0].tasks;
+
+			assert.strictEqual(parent.subtasks!.length, 1);
+			assert.deepStrictEqual(parent.subtasks![0].tags, ['ops']);
+			assert.strictEqual(parent.subtasks![0].description, 'Indented description.');
+			assert.deepStrictEqual(parent.subtasks![0].steps, [{ text: 'child step', completed: true }]);
+			assert.strictEqual(next.title, 'Next');
+		});
+
+		test('nested bullets that mention an ID inside a description or step list stay there', () => {
+			const board = MarkdownKanbanParser.parseMarkdown([
+				'## Todo', '', '- TSK_1: Parent', '  Follows up on:', '  - TSK_3 is related', '  - [ ] TSK_4: also related', '',
+				'**Steps:**', '- [ ] a', '  - [ ] TSK_5: nested step', '', '- TSK_2: Next', ''
+			].join('\n'));
+			const parent = board.columns[0].tasks[0];
+
+			assert.strictEqual(parent.subtasks, undefined);
+			assert.match(parent.description!, /- TSK_3 is related\n {2}- \[ \] TSK_4: also related$/);
+			assert.deepStrictEqual(parent.steps!.map(step => step.text), ['a', 'TSK_5: nested step']);
+		});
+
+		test('legacy steps that start with an ID are not subtasks', () => {
+			const board = MarkdownKanbanParser.parseMarkdown([
+				'## Todo', '', '- Write docs', '  - id: TSK_4', '  - steps:', '      - [ ] TSK_1 follow-up', '      - [x] Review', ''
+			].join('\n'));
+			const task = board.columns[0].tasks[0];
+
+			assert.strictEqual(task.subtasks, undefined);
+			assert.deepStrictEqual(task.steps, [{ text: 'TSK_1 follow-up', completed: false }, { text: 'Review', completed: true }]);
+		});
+
+		test('toggling a subtask only rewrites its parent', () => {
+			const content = '<!-- next-id: 4 -->\n## Todo\n\n### TSK_1: Parent\n\n#### [ ] TSK_2: Child\n\n### TSK_3: Other\n';
+			const board = MarkdownKanbanParser.parseMarkdown(content);
+			board.columns[0].tasks[0].subtasks![0].completed = true;
+
+			const edits = MarkdownKanbanParser.generateEdits(content, board);
+
+			assert.ok(edits.every(edit => edit.start >= 3 && edit.end <= 7));
+			assert.ok(applyEdits(content, edits).includes('#### [x] TSK_2: Child'));
+		});
+	});
+
+	suite('recurrence', () => {
+		test('repeat values are read as an interval', () => {
+			assert.deepStrictEqual(MarkdownKanbanParser.parseRecurrence('every 2 weeks'), { count: 2, unit: 'week' });
+			assert.deepStrictEqual(MarkdownKanbanParser.parseRecurrence('Every month'), { count: 1, unit: 'month' });
+			assert.deepStrictEqual(MarkdownKanbanParser.parseRecurrence('daily'), { count: 1, unit: 'day' });
+			assert.strictEqual(MarkdownKanbanParser.parseRecurrence('every 0 days'), undefined);
+			assert.strictEqual(MarkdownKanbanParser.parseRecurrence('sometimes'), undefined);
+		});
+
+		test('dates advance by the interval and clamp to the end of the month', () => {
+			assert.strictEqual(MarkdownKanbanParser.advanceDate('2025-12-25', { count: 2, unit: 'week' }), '2026-01-08');
+			assert.strictEqual(MarkdownKanbanParser.advanceDate('2025-01-31', { count: 1, unit: 'month' }), '2025-02-28');
+			assert.strictEqual(MarkdownKanbanParser.advanceDate('2024-02-29', { count: 1, unit: 'year' }), '2025-02-28');
+			assert.strictEqual(MarkdownKanbanParser.advanceDate('next week', { count: 1, unit: 'day' }), undefined);
+		});
+
+		test('the next instance starts fresh and does not repeat the finished one\'s body', () => {
+			const source = [
+				'<!-- next-id: 3 -->', '## Done', '', '### TSK_1: Backup', '', '**Due:** 2025-01-10', '**Repeat:** weekly', '**Blocked by:** TSK_9', '',
+				'**Steps:**', '- [x] Run it', '', '#### Notes', '', 'Only about this week.', '', '#### [x] TSK_2: Check', ''
+			].join('\n');
+			const board = MarkdownKanbanParser.parseMarkdown(source);
+			const task = board.columns[0].tasks[0];
+			let nextId = board.nextId;
+
+			const next = MarkdownKanbanParser.createNextOccurrence(task, { count: 1, unit: 'week' }, () => `TSK_${nextId++}`);
+
+			assert.strictEqual(next.id, 'TSK_3');
+			assert.strictEqual(next.dueDate, '2025-01-17');
+			assert.deepStrictEqual(next.steps, [{ text: 'Run it', completed: false }]);
+			assert.deepStrictEqual(next.subtasks!.map(subtask => [subtask.id, subtask.completed]), [['TSK_4', false]]);
+			assert.strictEqual(next.blockedBy, undefined);
+
+			board.columns[0].tasks.unshift(next);
+			const markdown = MarkdownKanbanParser.generateMarkdown(board);
+			assert.strictEqual(markdown.split('Only about this week.').length, 2);
+			assert.strictEqual(markdown.split('**Blocked by:**').length, 2);
+		});
+	});
+
+	suite('time tracking', () => {
+		test('logged entries are read as start time and minutes', () => {
+			const board = MarkdownKanbanParser.parseMarkdown([
+				'## Todo', '', '- TSK_1: Task', '', '**Logged:**', '- 2025-03-01 09:15 1h 30m', '- 2025-03-02 14:00 2h', '- 2025-03-03 08:00 5m', ''
+			].join('\n'));
+			const task = board.columns[0].tasks[0];
+
+			assert.strictEqual(board.columns[0].tasks.length, 1);
+			assert.deepStrictEqual(task.logged, [
+				{ start: '2025-03-01 09:15', minutes: 90 },
+				{ start: '2025-03-02 14:00', minutes: 120 },
+				{ start: '2025-03-03 08:00', minutes: 5 }
+			]);
+		});
+
+		test('lines that are not time entries are kept as raw content', () => {
+			const board = MarkdownKanbanParser.parseMarkdown('## Todo\n\n### TSK_1: Task\n\n**Logged:**\n- 2025-03-01 09:15 1h\n- yesterday, a while\n');
+			const task = board.columns[0].tasks[0];
+
+			assert.deepStrictEqual(task.logged, [{ start: '2025-03-01 09:15', minutes: 60 }]);
+			assert.strictEqual(task.rawContent, '- yesterday, a while');
+		});
+
+		test('timer runs are logged in whole minutes and under a minute not at all', () => {
+			const start = new Date(2025, 2, 1, 9, 5, 0);
+			const after = (seconds: number) => new Date(start.getTime() + seconds * 1000);
+
+			assert.strictEqual(MarkdownKanbanParser.createTimeEntry(start, after(59)), undefined);
+			assert.deepStrictEqual(MarkdownKanbanParser.createTimeEntry(start, after(60)), { start: '2025-03-01 09:05', minutes: 1 });
+			assert.deepStrictEqual(MarkdownKanbanParser.createTimeEntry(start, after(119)), { start: '2025-03-01 09:05', minutes: 1 });
+		});
+
+		test('durations are written in hours and minutes', () => {
+			assert.strictEqual(MarkdownKanbanParser.formatDuration(45), '45m');
+			assert.strictEqual(MarkdownKanbanParser.formatDuration(120), '2h');
+			assert.strictEqual(MarkdownKanbanParser.formatDuration(135), '2h 15m');
+		});
+	});
+
+	suite('column identity', () => {
+		test('column IDs are derived from the heading and stable across parses', () => {
+			const source = '## In Progress\n\n## Done [Archived]\n\n## 进行中\n';
+			const first = MarkdownKanbanParser.parseMarkdown(source);
+			const second = MarkdownKanbanParser.parseMarkdown(source);
+
+			assert.deepStrictEqual(first.columns.map(column => column.id), ['in-progress', 'done', '进行中']);
+			assert.deepStrictEqual(second.columns.map(column => column.id), first.columns.map(column => column.id));
+		});
+
+		test('repeated column titles get numbered IDs', () => {
+			const board = MarkdownKanbanParser.parseMarkdown('## Todo\n\n## Todo\n\n## !!!\n');
+
+			assert.deepStrictEqual(board.columns.map(column => column.id), ['todo', 'todo-2', 'column']);
+			assert.strictEqual(MarkdownKanbanParser.generateColumnId('Todo', board.columns), 'todo-3');
+		});
+
+		test('column IDs survive an external edit elsewhere in the file', () => {
+			const before = MarkdownKanbanParser.parseMarkdown('## Todo\n\n### TSK_1: A\n\n## Done\n');
+			const after = MarkdownKanbanParser.parseMarkdown('Notes added by hand.\n\n## Todo\n\n### TSK_1: A\n\n### TSK_2: B\n\n## Done\n');
+
+			assert.deepStrictEqual(after.columns.map(column => column.id), before.columns.map(column => column.id));
+		});
+	});
+
+	suite('drag and drop', () => {
+		// What the host does with a drop: take the task out, then insert it next to the target card
+		const drop = (tasks: KanbanTask[], taskId: string, target?: DropTarget) => {
+			const remaining = tasks.filter(task => task.id !== taskId);
+			remaining.splice(MarkdownKanbanParser.getDropIndex(remaining, target), 0, tasks.find(task => task.id === taskId)!);
+			return remaining.map(task => task.id);
+		};
+
+		test('cards reorder inside a swimlane that shows only some of the column', () => {
+			const board = MarkdownKanbanParser.parseMarkdown([
+				'## Todo', '', '### TSK_1: A', '> | low', '', '### TSK_2: B', '> | high', '', '### TSK_3: C', '> | high', ''
+			].join('\n'));
+			const tasks = board.columns[0].tasks;
+
+			// The "high" lane shows B, C; B is dropped below C, then back above it
+			assert.deepStrictEqual(drop(tasks, 'TSK_2', { taskId: 'TSK_3', after: true }), ['TSK_1', 'TSK_3', 'TSK_2']);
+			assert.deepStrictEqual(drop(tasks, 'TSK_3', { taskId: 'TSK_2', after: false }), ['TSK_1', 'TSK_3', 'TSK_2']);
+		});
+
+		test('a drop without a card to go next to goes to the end', () => {
+			const tasks = MarkdownKanbanParser.parseMarkdown('## Todo\n\n### TSK_1: A\n\n### TSK_2: B\n').columns[0].tasks;
+
+			assert.deepStrictEqual(drop(tasks, 'TSK_1'), ['TSK_2', 'TSK_1']);
+			assert.deepStrictEqual(drop(tasks, 'TSK_1', { taskId: 'TSK_9', after: false }), ['TSK_2', 'TSK_1']);
+		});
+	});
+
+	suite('WIP limits', () => {
+		test('limits are read from a count suffix or a trailing comment', () => {
+			const board = MarkdownKanbanParser.parseMarkdown('## In Progress (3)\n\n## Review <!-- wip: 2 -->\n\n## Old (5) [Archived]\n\n## Release (2024)\n');
+
+			assert.deepStrictEqual(
+				board.columns.map(column => [column.title, column.wipLimit, column.archived]),
+				[['In Progress', 3, false], ['Review', 2, false], ['Old', 5, true], ['Release (2024)', undefined, false]]
+			);
+			assert.strictEqual(board.columns[0].id, 'in-progress');
+		});
+
+		test('limits round-trip and unchanged headings keep their original syntax', () => {
+			const source = '<!-- next-id: 2 -->\n\n## In Progress (3)\n\n### TSK_1: A\n\n## Review <!-- wip: 2 -->\n';
+			const board = MarkdownKanbanParser.parseMarkdown(source);
+
+			assert.match(MarkdownKanbanParser.generateMarkdown(board), /^## In Progress \(3\)$/m);
+			assert.deepStrictEqual(MarkdownKanbanParser.generateEdits(source, board), []);
+
+			board.columns[1].wipLimit = 4;
+			const edited = applyEdits(source, MarkdownKanbanParser.generateEdits(source, board));
+			assert.match(edited, /^## Review \(4\)$/m);
+			assert.match(edited, /^## In Progress \(3\)$/m);
+		});
+
+		test('numbers in titles beyond two digits are not read as limits', () => {
+			const source = '<!-- next-id: 2 -->\n\n## Release (2024)\n\n### TSK_1: A\n\n## Sprint (100)\n';
+			const board = MarkdownKanbanParser.parseMarkdown(source);
+
+			assert.deepStrictEqual(
+				board.columns.map(column => [column.title, column.wipLimit]),
+				[['Release (2024)', undefined], ['Sprint (100)', undefined]]
+			);
+			assert.match(MarkdownKanbanParser.generateMarkdown(board), /^## Release \(2024\)$/m);
+			assert.deepStrictEqual(MarkdownKanbanParser.generateEdits(source, board), []);
+		});
+
+		test('limits above two digits are written as a comment', () => {
+			const board = MarkdownKanbanParser.parseMarkdown('## Release (2024)\n');
+			board.columns[0].wipLimit = 150;
+
+			const markdown = MarkdownKanbanParser.generateMarkdown(board);
+			assert.match(markdown, /^## Release \(2024\) <!-- wip: 150 -->$/m);
+			assert.deepStrictEqual(
+				MarkdownKanbanParser.parseMarkdown(markdown).columns.map(column => [column.title, column.wipLimit]),
+				[['Release (2024)', 150]]
+			);
+		});
+	});
+});
@@ -0,0 +1,114 @@
+import * as vscode from 'vscode';
+
+import { MarkdownKanbanParser, TimeEntry } from './markdownParser';
+
+export interface RunningTimer {
+    // Document URI of the board the task is on
+    uri: string;
+    taskId: string;
+    title: string;
+    // Epoch milliseconds
+    startedAt: number;
+}
+
+const STATE_KEY = 'runningTimer';
+
+function formatElapsed(milliseconds: number): string {
+    const seconds = Math.floor(milliseconds / 1000);
+    const pad = (value: number) => String(value).padStart(2, '0');
+    return `${Math.floor(seconds / 3600)}:${pad(Math.floor(seconds / 60) % 60)}:${pad(seconds % 60)}`;
+}
+
+/**
+ * The one task timer of the window, shown in the status bar. It is kept in workspace state so it
+ * survives a reload; stopping it hands the elapsed time to `logEntry` to be written to the task.
+ */
+export class TimeTracker implements vscode.Disposable {
+    private readonly _statusBarItem: vscode.StatusBarItem;
+    private readonly _onDidChange = new vscode.EventEmitter<void>();
+    private _ticker?: ReturnType<typeof setInterval>;
+
+    public readonly onDidChange = this._onDidChange.event;
+
+    constructor(
+        private readonly _state: vscode.Memento,
+        private readonly _logEntry: (timer: RunningTimer, entry: TimeEntry) => Promise<void>
+    ) {
+        this._statusBarItem = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Left, 100);
+        this._statusBarItem.command = 'markdown-kanban.stopTimer';
+        this._render();
+    }
+
+    public get running(): RunningTimer | undefined {
+        return this._state.get<RunningTimer>(STATE_KEY);
+    }
+
+    /** Starts timing a task. A timer running for another task is stopped and logged first. */
+    public async start(uri: vscode.Uri, taskId: string, title: string) {
+        const running = this.running;
+        if (running && running.uri === uri.toString() && running.taskId === taskId) return;
+
+        await this.stop();
+        await this._state.update(STATE_KEY, { uri: uri.toString(), taskId, title, startedAt: Date.now() });
+        this._render();
+        this._onDidChange.fire();
+    }
+
+    /**
+     * Stops the running timer and logs it in whole minutes. Under a minute is not logged. If the
+     * entry can't be written the timer keeps running, so the time isn't lost.
+     */
+    public async stop() {
+        const running = this.running;
+        if (!running) return;
+
+        await this._state.update(STATE_KEY, undefined);
+        this._render();
+        this._onDidChange.fire();
+
+        const entry = MarkdownKanbanParser.createTimeEntry(new Date(running.startedAt), new Date());
+        if (!entry) {
+            vscode.window.showInformationMessage(`The timer for ${running.taskId} ran for less than a minute, so nothing was logged.`);
+            return;
+        }
+        try {
+            await this._logEntry(running, entry);
+        } catch (error) {
+            await this._state.update(STATE_KEY, running);
+            this._render();
+            this._onDidChange.fire();
+            throw error;
+        }
+    }
+
+    private _render() {
+        const running = this.running;
+        if (!running) {
+            if (this._ticker) {
+                clearInterval(this._ticker);
+                this._ticker = undefined;
+            }
+            this._statusBarItem.hide();
+            return;
+        }
+
+        const update = () => {
+            this._statusBarItem.text = `$(watch) ${running.taskId} ${formatElapsed(Date.now() - running.startedAt)}`;
+        };
+        update();
+        this._statusBarItem.tooltip = `${running.taskId}: ${running.title} — click to stop and log the time`;
+        this._statusBarItem.show();
+        if (this._ticker) {
+            clearInterval(this._ticker);
+        }
+        this._ticker = setInterval(update, 1000);
+    }
+
+    public dispose() {
+        if (this._ticker) {
+            clearInterval(this._ticker);
+        }
+        this._statusBarItem.dispose();
+        this._onDidChange.dispose();
+    }
+}